@@ -3,11 +3,19 @@
  *
  * ハイブリッド方式:
  *   1. content.js で記事の位置を検出
- *   2. captureVisibleTab でスクロールキャプチャ（レート制限対策済み）
- *   3. offscreen の Canvas で記事部分を切り出し・結合
- *   4. PNG / PDF で保存
+ *   2. captureVisibleTab でスクロールキャプチャ（呼び出し回数の制限に合わせて間隔を調整）
+ *   3. 撮影したフレームを offscreen document に逐次送り、Canvas で切り出し・結合
+ *   4. PNG / JPEG / WebP / PDF で保存（またはクリップボードにコピー）
+ *   記事を Markdown / HTML に変換して保存することもできる（スクリーンショットと一緒に、または単独で）
+ *
+ * 結合・エンコードは offscreen で行うため、ページにはスクロール以外の負荷をかけない。
+ * キャプチャはタブごとのジョブとして管理し、ポップアップを閉じても
+ * ツールバーのバッジで進捗を表示し、中止（cancel-capture）できる。
+ * 複数のタブ・URL を順番にキャプチャする一括キャプチャ（batch.html）にも対応する。
  */
 
+importScripts("lib/filename.js", "lib/settings.js", "lib/site-rules.js");
+
 /**
  * タブにメッセージを送信
  */
@@ -24,285 +32,1405 @@ function sendToTab(tabId, message) {
 }
 
 /**
- * ポップアップに進捗通知
+ * キャプチャジョブ（タブ → ジョブ）
+ *   { id, tabId, text, percent, controller }
+ *   controller: 中止用の AbortController（中止すると処理中のキャプチャが例外で抜け、
+ *               captureArticle の finally でページが元に戻る）
+ * offscreen document の結合は1つずつしか行えないため、同時に実行できるジョブは
+ * すべてのタブで1つだけ（一括キャプチャの実行中も新しいジョブは始めない）。
+ */
+const jobs = new Map();
+let nextJobId = 1;
+
+const BADGE_COLORS = {
+  progress: "#4a6cf7",
+  success: "#2ecc71",
+  error: "#e74c3c",
+};
+
+// 完了・失敗のバッジを表示しておく時間（ms）
+const BADGE_RESULT_MS = 5000;
+
+function setBadge(tabId, text, color) {
+  chrome.action.setBadgeText({ tabId, text }).catch(() => {});
+  if (color) {
+    chrome.action.setBadgeBackgroundColor({ tabId, color }).catch(() => {});
+  }
+}
+
+/**
+ * 進捗をバッジとポップアップ（開いていれば）に通知
  */
-function notifyProgress(text, percent) {
+function notifyProgress(job, text, percent) {
+  job.text = text;
+  job.percent = percent;
+  setBadge(job.tabId, `${percent}%`, BADGE_COLORS.progress);
   chrome.runtime.sendMessage({
     type: "capture-progress",
+    tabId: job.tabId,
     text,
     percent,
   }).catch(() => {});
 }
 
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
+/**
+ * デスクトップ通知
+ */
+function showNotification(id, title, message) {
+  chrome.notifications
+    .create(id, {
+      type: "basic",
+      iconUrl: "icons/icon128.png",
+      title,
+      message,
+    })
+    .catch(() => {});
 }
 
 /**
- * captureVisibleTab（リトライ付き）
+ * offscreen document を必要になった時点で作成
  */
-async function captureScreen(retries = 5) {
-  for (let attempt = 0; attempt < retries; attempt++) {
-    try {
-      return await chrome.tabs.captureVisibleTab(null, {
-        format: "png",
-        quality: 100,
+let creatingOffscreen = null;
+
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ["OFFSCREEN_DOCUMENT"],
+  });
+  if (contexts.length > 0) return;
+
+  // 同時に呼ばれた場合は作成中のものを待つ
+  if (!creatingOffscreen) {
+    creatingOffscreen = chrome.offscreen
+      .createDocument({
+        url: "offscreen.html",
+        reasons: [chrome.offscreen.Reason.BLOBS],
+        justification: "キャプチャ画像の結合と PNG / PDF の生成",
+      })
+      .finally(() => {
+        creatingOffscreen = null;
       });
+  }
+  await creatingOffscreen;
+}
+
+/**
+ * offscreen document にメッセージを送信
+ */
+async function sendToOffscreen(message) {
+  const response = await chrome.runtime.sendMessage({
+    ...message,
+    target: "offscreen",
+  });
+  if (!response || response.error) {
+    throw new Error(response?.error || "画像処理に失敗しました");
+  }
+  return response;
+}
+
+/**
+ * 待機（signal を渡すと中止された時点で reason を投げる）
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
+
+// captureVisibleTab の1秒あたりの呼び出し回数の上限（拡張機能全体で共有される）
+const CAPTURE_QUOTA = chrome.tabs.MAX_CAPTURE_VISIBLE_TAB_CALLS_PER_SECOND || 2;
+const CAPTURE_WINDOW_MS = 1000;
+// Chrome 側の計測とのずれを吸収する余裕
+const CAPTURE_MARGIN_MS = 50;
+// 回数制限のエラーになった場合のやり直しの回数
+const CAPTURE_RETRIES = 3;
+
+// 直近の captureVisibleTab の呼び出し時刻（古い順）
+const captureTimes = [];
+// 撮影の呼び出しが重なっても呼び出し時刻の記録が崩れないよう、撮影は1つずつ行う
+let captureQueue = Promise.resolve();
+
+function isCaptureQuotaError(err) {
+  return /MAX_CAPTURE_VISIBLE_TAB_CALLS_PER_SECOND/.test(err?.message || "");
+}
+
+/**
+ * 直近 1 秒間の呼び出しが上限に達していれば、最も古い呼び出しが窓から外れるまで待つ
+ */
+async function waitForCaptureSlot(signal) {
+  const windowMs = CAPTURE_WINDOW_MS + CAPTURE_MARGIN_MS;
+  while (captureTimes.length > 0 && Date.now() - captureTimes[0] >= windowMs) {
+    captureTimes.shift();
+  }
+  if (captureTimes.length >= CAPTURE_QUOTA) {
+    await sleep(captureTimes[0] + windowMs - Date.now(), signal);
+    captureTimes.shift();
+  }
+}
+
+async function captureWithQuota(windowId, signal) {
+  for (let attempt = 0; ; attempt++) {
+    await waitForCaptureSlot(signal);
+    captureTimes.push(Date.now());
+    try {
+      return await chrome.tabs.captureVisibleTab(windowId, { format: "png" });
     } catch (err) {
-      if (attempt < retries - 1) {
-        // レート制限 → 待ってリトライ
-        await sleep(2000);
-      } else {
+      // 回数制限以外のエラー（タブが閉じられた、撮影できないページなど）はやり直さない
+      if (!isCaptureQuotaError(err) || attempt >= CAPTURE_RETRIES) {
         throw err;
       }
+      // 記録と Chrome 側の計測がずれている → 窓がまるごと空くまで待ってやり直す
+      await sleep(CAPTURE_WINDOW_MS, signal);
     }
   }
 }
 
 /**
- * メインのキャプチャ処理
+ * ウィンドウの表示中のタブを撮影（captureVisibleTab の回数制限に合わせて待つ）
+ * 固定の待ち時間ではなく直近の呼び出し時刻から待つ時間を決めるため、
+ * 制限に掛からない範囲でできるだけ早く撮影する。
  */
-async function captureArticle(tabId, format) {
-  notifyProgress("記事を検出中...", 10);
+function captureScreen(windowId, signal) {
+  const capture = captureQueue.then(() => captureWithQuota(windowId, signal));
+  captureQueue = capture.catch(() => {});
+  return capture;
+}
 
-  // 1. content script を注入
-  await chrome.scripting.executeScript({
+/**
+ * キャプチャするタブがウィンドウで表示中のままか確認
+ * captureVisibleTab はウィンドウで表示中のタブを撮るため、キャプチャ中にタブを切り替えられると
+ * 別のタブが写ってしまう。その場合はキャプチャを中止する。
+ */
+async function ensureTabVisible(tabId, windowId) {
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  if (!tab) {
+    throw new Error("キャプチャ中にタブが閉じられました");
+  }
+  if (!tab.active || tab.windowId !== windowId) {
+    throw new Error("キャプチャ中にタブが切り替えられたため中止しました");
+  }
+}
+
+/**
+ * 画像をクリップボードに書き込む（ページ内で実行する関数）
+ * ポップアップが閉じている場合（ピッカー経由）はページにフォーカスがあるため、
+ * ページ側で Clipboard API を呼ぶ。
+ */
+async function writeImageToClipboard(dataUrl) {
+  try {
+    const [header, base64] = dataUrl.split(",");
+    const type = header.slice("data:".length, header.indexOf(";"));
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    await navigator.clipboard.write([
+      new ClipboardItem({ [type]: new Blob([bytes], { type }) }),
+    ]);
+    return { ok: true };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+/**
+ * 生成した画像（Blob URL）をページ経由でクリップボードにコピー
+ */
+async function copyToClipboardInPage(tabId, url) {
+  const { dataUrl } = await sendToOffscreen({ type: "read-file", url });
+  const [injection] = await chrome.scripting.executeScript({
     target: { tabId },
-    files: ["lib/article-detector.js", "content.js"],
+    func: writeImageToClipboard,
+    args: [dataUrl],
+  });
+  if (!injection?.result || injection.result.error) {
+    throw new Error(
+      `クリップボードへのコピーに失敗しました: ${injection?.result?.error || "不明なエラー"}`
+    );
+  }
+}
+
+/**
+ * カルーセルの自動再生を止める / 再開する（ページのスクリプトの世界で実行する関数）
+ * ライブラリの API を呼ぶため、content script（隔離された世界）からは実行できない。
+ * 止めたものだけを window に記録し、再開時はそれだけを再開する。
+ * 対応: Swiper, Slick, Bootstrap, Flickity
+ */
+function setCarouselsPaused(paused) {
+  const KEY = "__articleCaptureCarousels";
+  const call = (fn) => {
+    try {
+      fn();
+    } catch {
+      // ページ側のライブラリのエラーはキャプチャに影響させない
+    }
+  };
+
+  if (!paused) {
+    for (const resume of window[KEY] || []) call(resume);
+    window[KEY] = null;
+    return { resumed: true };
+  }
+  if (window[KEY]) return { count: 0 };
+
+  const resumers = [];
+  const $ = window.jQuery;
+
+  // Swiper
+  for (const el of document.querySelectorAll(".swiper, .swiper-container")) {
+    const autoplay = el.swiper?.autoplay;
+    if (autoplay?.running) {
+      call(() => autoplay.stop());
+      resumers.push(() => autoplay.start());
+    }
+  }
+
+  // Slick（jQuery プラグイン）
+  if ($?.fn?.slick) {
+    $(".slick-initialized").each(function () {
+      const slick = this.slick;
+      if (slick?.options?.autoplay && !slick.paused) {
+        call(() => $(this).slick("slickPause"));
+        resumers.push(() => $(this).slick("slickPlay"));
+      }
+    });
+  }
+
+  // Bootstrap 5 / 3・4（jQuery プラグイン）。初期化済みのものだけ
+  for (const el of document.querySelectorAll(".carousel")) {
+    const instance = window.bootstrap?.Carousel?.getInstance?.(el);
+    if (instance) {
+      call(() => instance.pause());
+      resumers.push(() => instance.cycle());
+    } else if ($?.fn?.carousel && $(el).data("bs.carousel")) {
+      call(() => $(el).carousel("pause"));
+      resumers.push(() => $(el).carousel("cycle"));
+    }
+  }
+
+  // Flickity
+  if (window.Flickity?.data) {
+    for (const el of document.querySelectorAll(".flickity-enabled")) {
+      const flickity = window.Flickity.data(el);
+      if (flickity?.player?.state === "playing") {
+        call(() => flickity.pausePlayer());
+        resumers.push(() => flickity.unpausePlayer());
+      }
+    }
+  }
+
+  window[KEY] = resumers;
+  return { count: resumers.length };
+}
+
+function runInPage(tabId, func, args) {
+  return chrome.scripting.executeScript({ target: { tabId }, world: "MAIN", func, args });
+}
+
+/**
+ * アニメーション・動画・カルーセルを止める（フレーム間の継ぎ目のずれを防ぐ）
+ * 元に戻すのは restore-page と resumeCarousels。
+ */
+async function freezePage(tabId) {
+  await sendToTab(tabId, { type: "freeze-page" });
+  await runInPage(tabId, setCarouselsPaused, [true]).catch((err) =>
+    console.warn("カルーセルを止められませんでした:", err)
+  );
+}
+
+function resumeCarousels(tabId) {
+  return runInPage(tabId, setCarouselsPaused, [false]).catch((err) =>
+    console.warn("カルーセルを再開できませんでした:", err)
+  );
+}
+
+/**
+ * 記事を検出（ノイズ要素の非表示もここで行われる）
+ *   settings: { padding, removeNoise }
+ *   rule:     このサイトのルール（lib/site-rules.js 参照。なければ null）
+ */
+async function detectArticle(tabId, target, settings, rule) {
+  const detected = await sendToTab(tabId, {
+    type: "detect-article",
+    target,
+    settings: { padding: settings.padding, removeNoise: settings.removeNoise, rule },
   });
+  if (!detected || detected.error) {
+    throw new Error(detected?.error || "記事の検出に失敗しました");
+  }
+  return detected;
+}
+
+/**
+ * 検出済みの記事を Markdown / HTML に変換
+ */
+async function serializeArticle(tabId, textFormat, capturedAt) {
+  const article = await sendToTab(tabId, {
+    type: "serialize-article",
+    format: textFormat,
+    capturedAt: capturedAt.toISOString(),
+  });
+  if (!article || article.error) {
+    throw new Error(article?.error || "記事の変換に失敗しました");
+  }
+  return article;
+}
+
+/**
+ * ファイルをダウンロード
+ * ファイル名は設定のテンプレートから作り、同名のファイルがあれば番号を付ける。
+ * 複数（分割したファイル）の場合はテンプレートのファイル名をフォルダにして part-NN.ext で保存する。
+ *   page:     ファイル名に使うページの情報 { title, url, date }
+ *   settings: { saveAs, subfolder, filenameTemplate }
+ */
+async function downloadFiles(files, page, settings) {
+  const { renderFilename, stripExtension } = self.__Filename;
+  const pathFor = (ext) => {
+    const path = renderFilename(settings.filenameTemplate, { ...page, ext });
+    return settings.subfolder ? `${settings.subfolder}/${path}` : path;
+  };
 
-  await sleep(300);
+  if (files.length === 1) {
+    await chrome.downloads.download({
+      url: files[0].url,
+      filename: pathFor(files[0].ext),
+      conflictAction: "uniquify",
+      saveAs: settings.saveAs,
+    });
+    return;
+  }
+
+  // ファイルごとの保存ダイアログは出さない
+  const folder = stripExtension(pathFor(files[0].ext), files[0].ext);
+  for (const [i, file] of files.entries()) {
+    const part = String(i + 1).padStart(2, "0");
+    await chrome.downloads.download({
+      url: file.url,
+      filename: `${folder}/part-${part}.${file.ext}`,
+      conflictAction: "uniquify",
+      saveAs: false,
+    });
+  }
+}
 
-  // 2. 記事位置を検出
-  const info = await sendToTab(tabId, { type: "detect-article" });
-  if (!info || info.error) {
-    throw new Error(info?.error || "記事の検出に失敗しました");
+/**
+ * 記事を検出し、スクロールしながら各フレームをキャプチャ
+ * 撮影したフレームは切り出し情報と一緒に offscreen document へ逐次送る。
+ * 戻り値: { info: 検出結果 }
+ */
+async function captureFrames(tabId, options, job) {
+  const { target, fixedElements, layout, settings, rule } = options;
+  const { signal } = job.controller;
+  const { windowId } = await chrome.tabs.get(tabId);
+
+  // 記事位置を検出
+  const detected = await detectArticle(tabId, target, settings, rule);
+
+  notifyProgress(job, "画像の読み込みを待機中...", 15);
+
+  // 遅延読み込みを済ませてから計測し直す
+  const measured = await sendToTab(tabId, { type: "warm-up" });
+  // 中止するとページ側の待機は打ち切られてエラーが返るため、中止の理由を優先する
+  signal.throwIfAborted();
+  if (!measured || measured.error) {
+    throw new Error(measured?.error || "記事の計測に失敗しました");
   }
+  const info = { ...detected, ...measured };
 
-  notifyProgress("記事を検出しました", 20);
+  // 遅延読み込みの画像（GIF を含む）が揃ってから止める
+  //（止めたことで高さが変わっても、撮影中の計測で追従する）
+  if (settings.freezePage) {
+    await freezePage(tabId);
+  }
+
+  // 分割位置の候補（段落・画像などの境界）やテキストの位置
+  if (layout.blocks || layout.text || layout.links) {
+    Object.assign(info, await sendToTab(tabId, { type: "collect-layout", ...layout }));
+  }
+
+  signal.throwIfAborted();
+  notifyProgress(job, "記事を検出しました", 20);
 
   const {
     top: articleTop,
     left: articleLeft,
     width: articleWidth,
-    height: articleHeight,
+    viewportTop,
+    viewportLeft,
+    viewportWidth,
     viewportHeight,
     devicePixelRatio: dpr,
   } = info;
 
-  const articleBottom = articleTop + articleHeight;
-  const originalScrollY = info.scrollY;
+  let articleHeight = info.height;
+  let articleBottom = articleTop + articleHeight;
+  const articleRight = articleLeft + articleWidth;
+
+  // 記事が表示領域より広い場合は横方向にもタイル状にキャプチャする
+  const columns = Math.ceil(articleWidth / viewportWidth);
+  await sendToOffscreen({ type: "stitch-begin", dpr });
 
-  // 3. スクロールしながらキャプチャ
-  const captures = []; // { dataUrl, cropTop, cropBottom }
   let currentY = articleTop;
-  const totalSteps = Math.ceil(articleHeight / viewportHeight);
+  let totalSteps = Math.ceil(articleHeight / viewportHeight) * columns;
   let step = 0;
 
+  if (fixedElements === "hide") {
+    await sendToTab(tabId, { type: "hide-fixed" });
+  }
+
   while (currentY < articleBottom) {
-    step++;
-    notifyProgress(
-      `キャプチャ中... (${step}/${totalSteps})`,
-      20 + Math.floor((step / totalSteps) * 50)
-    );
+    let currentX = articleLeft;
 
-    // スクロール
-    const scrollResult = await sendToTab(tabId, {
-      type: "scroll-to",
-      y: currentY,
-    });
-    const actualScrollY = scrollResult.scrollY;
-
-    // ★ レート制限対策: 各キャプチャ間に十分待つ
-    await sleep(1500);
-
-    // キャプチャ
-    const dataUrl = await captureScreen();
-
-    // ビューポート内での記事の範囲を計算
-    const cropTop = Math.max(0, articleTop - actualScrollY);
-    const cropBottom = Math.min(viewportHeight, articleBottom - actualScrollY);
-
-    if (cropBottom > cropTop) {
-      captures.push({
-        dataUrl,
-        // Canvas座標（dpr適用済み）
-        sx: Math.floor(articleLeft * dpr),
-        sy: Math.floor(cropTop * dpr),
-        sw: Math.ceil(articleWidth * dpr),
-        sh: Math.ceil((cropBottom - cropTop) * dpr),
-        // 結合先Y座標
-        dy: Math.floor((actualScrollY + cropTop - articleTop) * dpr),
+    while (currentX < articleRight) {
+      signal.throwIfAborted();
+      step++;
+      notifyProgress(
+        job,
+        `キャプチャ中... (${step}/${totalSteps})`,
+        20 + Math.floor((Math.min(step, totalSteps) / totalSteps) * 50)
+      );
+
+      // スクロール（content.js はスクロール後の描画が済んでから応答する）
+      const scrollResult = await sendToTab(tabId, {
+        type: "scroll-to",
+        x: currentX,
+        y: currentY,
       });
+      const actualScrollX = scrollResult.scrollX;
+      const actualScrollY = scrollResult.scrollY;
+
+      // キャプチャ中に記事の高さが変わった場合（追加の遅延読み込み等）は追従する
+      if (scrollResult.measure && scrollResult.measure.height !== articleHeight) {
+        articleHeight = scrollResult.measure.height;
+        articleBottom = articleTop + articleHeight;
+        totalSteps = Math.max(
+          step,
+          Math.ceil(articleHeight / viewportHeight) * columns
+        );
+      }
+
+      // 表示が遅れるページ向けの追加の待ち時間（設定）
+      if (settings.frameDelay > 0) {
+        await sleep(settings.frameDelay, signal);
+      }
+
+      // キャプチャ（撮影の前後でタブが表示されたままか確認する）
+      await ensureTabVisible(tabId, windowId);
+      const dataUrl = await captureScreen(windowId, signal);
+      await ensureTabVisible(tabId, windowId);
+
+      // 表示領域内での記事の範囲を計算
+      // （スクロールコンテナの場合、表示領域はウィンドウの viewportTop / viewportLeft から始まる）
+      const cropTop = Math.max(0, articleTop - actualScrollY);
+      const cropBottom = Math.min(viewportHeight, articleBottom - actualScrollY);
+      const cropLeft = Math.max(0, articleLeft - actualScrollX);
+      const cropRight = Math.min(viewportWidth, articleRight - actualScrollX);
+
+      if (cropBottom > cropTop && cropRight > cropLeft) {
+        const capture = {
+          dataUrl,
+          // Canvas座標（dpr適用済み）
+          sx: Math.floor((viewportLeft + cropLeft) * dpr),
+          sy: Math.floor((viewportTop + cropTop) * dpr),
+          sw: Math.ceil((cropRight - cropLeft) * dpr),
+          sh: Math.ceil((cropBottom - cropTop) * dpr),
+          // 結合先座標
+          dx: Math.floor((actualScrollX + cropLeft - articleLeft) * dpr),
+          dy: Math.floor((actualScrollY + cropTop - articleTop) * dpr),
+        };
+        await sendToOffscreen({ type: "stitch-add", capture });
+      }
+
+      // 固定要素は最初のフレームにだけ写す
+      if (step === 1 && fixedElements === "first") {
+        await sendToTab(tabId, { type: "hide-fixed" });
+      }
+
+      currentX += viewportWidth;
     }
 
     currentY += viewportHeight;
   }
 
-  // 4. スクロール位置を復元
-  await sendToTab(tabId, { type: "scroll-to", y: originalScrollY });
-
-  notifyProgress("画像を処理中...", 75);
+  return { info: { ...info, height: articleHeight } };
+}
 
-  // 5. Canvasで結合 → PNG / PDF 生成
-  //    content script 内で行う（Canvasはページ内で使える）
-  if (format === "pdf") {
-    await chrome.scripting.executeScript({
-      target: { tabId },
-      files: ["lib/jspdf.umd.min.js"],
+/**
+ * キャプチャ結果を履歴に保存（失敗してもキャプチャ自体は成功として扱う）
+ *   groups:    まとめて保存する単位ごとのファイル [[{ url, ext }]]
+ *   withImage: スクリーンショットを含むか（サムネイル・別形式での書き出しに使う）
+ */
+async function saveToHistory(entry, groups, withImage, settings) {
+  try {
+    await sendToOffscreen({
+      type: "history-add",
+      entry,
+      groups,
+      withImage,
+      limitBytes: settings.historyLimitMB * 1024 * 1024,
     });
-    await sleep(200);
+  } catch (err) {
+    console.warn("履歴に保存できませんでした:", err);
+  }
+}
+
+// スクリーンショットを撮らずに記事をテキストとして保存する形式
+const TEXT_FORMATS = ["markdown", "html"];
+
+/**
+ * メインのキャプチャ処理
+ *
+ * format: "png" | "jpeg" | "webp" | "pdf" | "markdown" | "html"（省略時は設定の既定の形式）
+ *   markdown / html はスクリーンショットを撮らず、記事をテキストに変換して保存する
+ * options.text: スクリーンショットと一緒に保存するテキスト形式（"markdown" | "html" | 未指定）
+ * options.quality: JPEG / WebP の品質（0〜1, 既定: 0.92）
+ * options.destination: "download"（ファイルに保存, 既定） | "clipboard" | "return"
+ *   clipboard の場合は format にかかわらず PNG の1枚の画像を生成して保存せずに
+ *   { clipboardUrl } を返す（Clipboard API が画像は PNG にしか対応していないため）。
+ *   書き込みはフォーカスを持つ呼び出し元（ポップアップ、またはページ）で行う。
+ *   テキスト形式のファイルは保存先にかかわらずダウンロードする。
+ *   return の場合はダウンロードせずに { files: [[{ url, ext }]], page } を返す
+ *   （一括キャプチャで保存先をまとめるため。Blob URL は次の結合の開始まで有効）。
+ * options.target: "auto"（自動検出, 既定） | "picked"（ピッカーで選択した要素）
+ *   | "context"（コンテキストメニューを開いた要素）
+ * options.fixedElements: 固定ヘッダー等（position: fixed / sticky）の扱い
+ *   "first" → 最初のフレームにだけ写す（既定）
+ *   "hide"  → すべてのフレームで非表示
+ * options.oversize: Canvas の上限を超える大きさの画像（PNG / JPEG / WebP）の扱い
+ *   "downscale" → CSS解像度に縮小して1枚にする（既定）
+ *   "split"     → 元の解像度のまま複数ファイルに分割
+ *   "zip"       → 分割したファイルを ZIP にまとめる
+ * options.splitAtBlocks: 分割時に段落・画像の切れ目で分ける
+ * options.pdf: PDF のレイアウト（用紙サイズ・向き・余白・画像形式など。offscreen.js の convertToPdf 参照）
+ *
+ * 保存するファイルにはページのタイトル・URL・著者・公開日と撮影日時を埋め込む。
+ * 設定で有効な場合は、生成したファイルを履歴（lib/history-store.js）にも保存する。
+ * 保存ダイアログ・保存先・フレームごとの追加の待ち時間・余白・ノイズ除去はオプションページの設定
+ * （lib/settings.js）に従う。タブのサイトにルール（lib/site-rules.js）があれば、
+ * 記事・ノイズの検出はヒューリスティックよりルールを優先する。
+ *
+ * job: runCaptureJob で作ったジョブ（進捗の通知先・中止の検知に使う）
+ */
+async function captureArticle(tabId, format, options, job) {
+  const { signal } = job.controller;
+  const settings = await self.__Settings.getSettings();
+  const tab = await chrome.tabs.get(tabId);
+  const rule = self.__SiteRules.findRule(await self.__SiteRules.getRules(), tab.url);
+  format = format || settings.format;
+  const textOnly = TEXT_FORMATS.includes(format);
+  const textFormat = textOnly ? format : options.text || null;
+  const toClipboard = !textOnly && options.destination === "clipboard";
+  if (toClipboard) {
+    format = "png";
   }
+  const oversize = toClipboard ? "downscale" : options.oversize || "downscale";
+
+  const frameOptions = {
+    target: options.target || "auto",
+    fixedElements: options.fixedElements || "first",
+    settings,
+    rule,
+    // 計測後に content.js から集めるレイアウト情報
+    layout: {
+      blocks:
+        (format === "pdf" && options.pdf?.smartBreaks !== false) ||
+        (!!options.splitAtBlocks && oversize !== "downscale"),
+      text: format === "pdf" && options.pdf?.textLayer !== false,
+      links: format === "pdf" && options.pdf?.links !== false,
+    },
+  };
 
-  const finalWidth = Math.ceil(articleWidth * dpr);
-  const finalHeight = Math.ceil(articleHeight * dpr);
+  notifyProgress(job, "記事を検出中...", 10);
 
-  // content script に結合処理を依頼（関数を直接実行）
-  const [result] = await chrome.scripting.executeScript({
+  // 1. content script を注入（executeScript はスクリプトの実行後に解決するため、
+  //    この時点でメッセージのリスナーは登録済み）
+  await chrome.scripting.executeScript({
     target: { tabId },
-    func: combineAndExport,
-    args: [captures, finalWidth, finalHeight, format, dpr],
+    files: textFormat
+      ? ["lib/article-detector.js", "lib/article-serializer.js", "content.js"]
+      : ["lib/article-detector.js", "content.js"],
   });
 
-  if (result.result?.error) {
-    throw new Error(result.result.error);
+  await ensureOffscreenDocument();
+
+  // 2〜3. 記事検出とスクロールキャプチャ、テキストへの変換
+  //    ページに加えた変更（ノイズ非表示・固定要素・スクロール・アニメーションの停止）は
+  //    成功・失敗にかかわらず必ず元に戻す
+  const capturedAt = new Date();
+  let info = null;
+  let metadata = null;
+  let article = null;
+  let completed = false;
+
+  // 中止したらページ側の待機（ウォームアップ・読み込み待ち）もすぐに打ち切らせ、
+  // 下の finally でページを元に戻す
+  const abortInPage = () => sendToTab(tabId, { type: "abort" }).catch(() => {});
+  signal.addEventListener("abort", abortInPage, { once: true });
+  try {
+    if (textOnly) {
+      await detectArticle(tabId, frameOptions.target, settings, rule);
+    } else {
+      ({ info } = await captureFrames(tabId, frameOptions, job));
+    }
+    // 保存ファイルに埋め込む出所の情報（タイトル・URL・著者・公開日）。ファイル名にも使う
+    metadata = await sendToTab(tabId, { type: "get-metadata" });
+    if (textFormat) {
+      signal.throwIfAborted();
+      notifyProgress(job, "記事をテキストに変換中...", textOnly ? 50 : 72);
+      article = await serializeArticle(tabId, textFormat, capturedAt);
+    }
+    completed = true;
+  } finally {
+    signal.removeEventListener("abort", abortInPage);
+    await sendToTab(tabId, { type: "restore-page" }).catch((err) =>
+      console.warn("ページの復元に失敗しました:", err)
+    );
+    // 中止・失敗したキャプチャのフレーム（data URL）を offscreen に残さない
+    if (!completed && !textOnly) {
+      await sendToOffscreen({ type: "stitch-abort" }).catch((err) =>
+        console.warn("結合を破棄できませんでした:", err)
+      );
+    }
+    if (!textOnly && settings.freezePage) {
+      await resumeCarousels(tabId);
+    }
   }
 
-  notifyProgress("保存中...", 95);
+  // ダウンロードするファイル（まとめて保存する単位ごと）
+  const downloads = [];
+  let clipboardUrl = null;
+  let imageFiles = null;
 
-  // 6. ダウンロード
-  const timestamp = new Date()
-    .toISOString()
-    .replace(/[:.]/g, "-")
-    .slice(0, 19);
-  const ext = format === "pdf" ? "pdf" : "png";
-  const filename = `article-${timestamp}.${ext}`;
+  if (info) {
+    const {
+      width: articleWidth,
+      height: articleHeight,
+      devicePixelRatio: dpr,
+      blocks,
+      textRuns,
+      links,
+    } = info;
 
-  await chrome.downloads.download({
-    url: result.result.dataUrl,
-    filename,
-    saveAs: true,
-  });
+    notifyProgress(job, "画像を処理中...", 75);
 
-  return { success: true };
+    // 4. offscreen の Canvas で結合 → 画像 / PDF 生成
+    const { files } = await sendToOffscreen({
+      type: "stitch-finish",
+      width: Math.ceil(articleWidth * dpr),
+      height: Math.ceil(articleHeight * dpr),
+      format,
+      options: {
+        oversize,
+        quality: options.quality,
+        blocks: blocks || null,
+        textRuns: textRuns || null,
+        links: links || null,
+        pdf: options.pdf || {},
+        metadata: { ...metadata, capturedAt: capturedAt.toISOString() },
+        history: settings.historyEnabled,
+      },
+    });
+
+    imageFiles = files;
+    if (toClipboard) {
+      clipboardUrl = files[0].url;
+    } else {
+      downloads.push(files);
+    }
+  }
+
+  if (article) {
+    // HTML の画像は offscreen で取得して埋め込む
+    const { files } = await sendToOffscreen({
+      type: "export-text",
+      format: textFormat,
+      content: article.content,
+      images: article.images,
+    });
+    downloads.push(files);
+  }
+
+  // 画像の生成中に中止された場合は保存しない
+  signal.throwIfAborted();
+  notifyProgress(job, downloads.length > 0 ? "保存中..." : "クリップボードにコピー中...", 95);
+
+  // 5. ダウンロード（スクリーンショットとテキストは拡張子以外同じ名前で保存する）
+  const page = { title: metadata?.title, url: metadata?.pageUrl, date: capturedAt };
+  const returnFiles = options.destination === "return";
+  if (!returnFiles) {
+    for (const files of downloads) {
+      await downloadFiles(files, page, settings);
+    }
+  }
+
+  if (settings.historyEnabled) {
+    const textFiles = downloads.filter((files) => files !== imageFiles);
+    await saveToHistory(
+      {
+        title: metadata?.title || "",
+        url: metadata?.pageUrl || "",
+        formats: Array.from(new Set([info ? format : null, textFormat].filter(Boolean))),
+        capturedAt: capturedAt.toISOString(),
+        metadata: { ...metadata, capturedAt: capturedAt.toISOString() },
+      },
+      imageFiles ? [imageFiles, ...textFiles] : textFiles,
+      !!imageFiles,
+      settings
+    );
+  }
+
+  const result = { success: true, title: metadata?.title || "" };
+  if (returnFiles) {
+    return { ...result, files: downloads, page };
+  }
+  return clipboardUrl ? { ...result, clipboardUrl } : result;
 }
 
 /**
- * ページ内で実行される結合・エクスポート関数
- * （chrome.scripting.executeScript の func として渡す）
+ * キャプチャをジョブとして実行
+ * 進捗はバッジに表示し、完了・失敗はデスクトップ通知で知らせる。
+ * 結果は capture-finished でも通知する（開き直したポップアップ向け）。
+ * 中止された場合は { success: false, cancelled: true } を返す。
  */
-async function combineAndExport(captures, finalWidth, finalHeight, format, dpr) {
+async function runCaptureJob(tabId, format, options = {}) {
+  if (jobs.has(tabId)) {
+    throw new Error("このタブではキャプチャを実行中です");
+  }
+  if (jobs.size > 0 || batch?.running) {
+    throw new Error("別のタブでキャプチャを実行中です。終わってから再度お試しください");
+  }
+  const job = {
+    id: nextJobId++,
+    tabId,
+    text: "開始中...",
+    percent: 0,
+    controller: new AbortController(),
+  };
+  jobs.set(tabId, job);
+
+  let outcome;
   try {
-    // ★ DPRを考慮せず、CSS座標ベースでCanvasを作成
-    //    captureVisibleTab はDPR倍のサイズで撮影されるので、
-    //    ソースからの切り出しはDPR座標、結合先はCSS座標で描画する
-    const cssWidth = Math.ceil(finalWidth / dpr);
-    const cssHeight = Math.ceil(finalHeight / dpr);
-
-    // Canvas サイズ制限チェック（Chrome: ~16384px）
-    const MAX_DIM = 16384;
-    let outW = finalWidth;
-    let outH = finalHeight;
-
-    if (outW > MAX_DIM || outH > MAX_DIM || outW * outH > 268435456) {
-      // 大きすぎる場合はCSS解像度にフォールバック
-      outW = cssWidth;
-      outH = cssHeight;
+    const result = await captureArticle(tabId, format, options, job);
+    setBadge(tabId, "✓", BADGE_COLORS.success);
+    showNotification(
+      `capture-${job.id}`,
+      result.clipboardUrl ? "クリップボードにコピーしました" : "キャプチャを保存しました",
+      result.title || "記事のキャプチャが完了しました"
+    );
+    outcome = { success: true, clipboardUrl: result.clipboardUrl };
+    return result;
+  } catch (err) {
+    if (job.controller.signal.aborted) {
+      setBadge(tabId, "");
+      outcome = { success: false, cancelled: true, error: "キャプチャを中止しました" };
+      return outcome;
+    }
+    setBadge(tabId, "!", BADGE_COLORS.error);
+    showNotification(`capture-${job.id}`, "キャプチャに失敗しました", err.message);
+    outcome = { success: false, error: err.message };
+    throw err;
+  } finally {
+    jobs.delete(tabId);
+    chrome.runtime.sendMessage({ type: "capture-finished", tabId, ...outcome }).catch(() => {});
+    if (!outcome.cancelled) {
+      setTimeout(() => {
+        // 次のジョブが始まっていればバッジはそちらの進捗
+        if (!jobs.has(tabId)) setBadge(tabId, "");
+      }, BADGE_RESULT_MS);
     }
+  }
+}
+
+/**
+ * 実行中のキャプチャを中止
+ */
+function cancelCaptureJob(tabId) {
+  const job = jobs.get(tabId);
+  if (!job) {
+    return { success: false, error: "実行中のキャプチャはありません" };
+  }
+  job.controller.abort(new Error("キャプチャを中止しました"));
+  notifyProgress(job, "中止しています...", job.percent);
+  return { success: true };
+}
 
-    const canvas = document.createElement("canvas");
-    canvas.width = outW;
-    canvas.height = outH;
-    const ctx = canvas.getContext("2d");
+/**
+ * 開いているポップアップがあるか（クリップボードへの書き込みを任せられるか）
+ */
+async function hasOpenPopup() {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ["POPUP"] });
+  return contexts.length > 0;
+}
 
-    if (!ctx) {
-      return { error: "Canvas の作成に失敗しました（メモリ不足の可能性）" };
-    }
+/**
+ * 一括キャプチャ（ウィンドウのタブ、または URL のリストを1件ずつ順番にキャプチャ）
+ *   { id, windowId, format, bundle, folder, items, running, current, error, controller }
+ *   items:   [{ tabId, url, title, status, error }]
+ *            status: "pending" | "running" | "done" | "error" | "cancelled"
+ *            URL のリストの項目は tabId: null（撮影時にバックグラウンドのタブで開き、撮影後に閉じる）
+ *   bundle:  "folder"（1つのフォルダに保存） | "zip"（1つの ZIP にまとめる）
+ *   folder:  フォルダ名（ZIP の場合はファイル名）のテンプレート（lib/filename.js のトークンを使える）
+ *   current: 撮影中のタブ（撮影中の進捗は capture-progress で通知される）
+ * 同時に実行できる一括キャプチャは1つだけ。撮影中のタブのジョブは一括キャプチャの
+ * AbortController を共有するため、そのタブのキャプチャを中止すると一括キャプチャ全体が止まる。
+ */
+let batch = null;
+let nextBatchId = 1;
 
-    ctx.fillStyle = "#ffffff";
-    ctx.fillRect(0, 0, outW, outH);
+const DEFAULT_BATCH_FOLDER = "batch-{date}T{time}";
 
-    // 出力Canvasと元のDPRサイズとの比率
-    const outScale = outW / finalWidth;
+// URL のリストのページの読み込みを待つ上限（ms）
+const TAB_LOAD_TIMEOUT_MS = 60000;
 
-    // 各キャプチャを読み込んで描画
-    for (const cap of captures) {
-      const img = await new Promise((resolve, reject) => {
-        const i = new Image();
-        i.onload = () => resolve(i);
-        i.onerror = reject;
-        i.src = cap.dataUrl;
-      });
+function batchSnapshot() {
+  if (!batch) return null;
+  const { id, format, bundle, running, current, error, items } = batch;
+  return {
+    id,
+    format,
+    bundle,
+    running,
+    current,
+    error,
+    items: items.map((item) => ({ ...item })),
+  };
+}
 
-      // ソース座標（DPRピクセル） → 出力座標
-      ctx.drawImage(
-        img,
-        cap.sx, cap.sy, cap.sw, cap.sh, // ソース切り出し
-        0,
-        Math.round(cap.dy * outScale),
-        Math.ceil(cap.sw * outScale),
-        Math.ceil(cap.sh * outScale)
-      );
-    }
+/**
+ * 一括キャプチャの状態を一括キャプチャのページ（開いていれば）に通知
+ */
+function notifyBatch() {
+  chrome.runtime.sendMessage({ type: "batch-progress", batch: batchSnapshot() }).catch(() => {});
+}
 
-    let dataUrl;
+/**
+ * タブの読み込みが終わるまで待つ
+ */
+function waitForTabLoad(tabId, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    let settled = false;
+    const finish = (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      chrome.tabs.onRemoved.removeListener(onRemoved);
+      signal.removeEventListener("abort", onAbort);
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    };
+    const onUpdated = (id, changeInfo) => {
+      if (id === tabId && changeInfo.status === "complete") finish();
+    };
+    const onRemoved = (id) => {
+      if (id === tabId) finish(new Error("タブが閉じられました"));
+    };
+    const onAbort = () => finish(signal.reason);
+    const timer = setTimeout(
+      () => finish(new Error("ページの読み込みがタイムアウトしました")),
+      TAB_LOAD_TIMEOUT_MS
+    );
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.onRemoved.addListener(onRemoved);
+    signal.addEventListener("abort", onAbort);
 
-    if (format === "pdf") {
-      const jsPDF = window.jspdf.jsPDF;
+    // 待ち始める前に読み込みが終わっている場合
+    chrome.tabs.get(tabId).then(
+      (tab) => {
+        if (tab.status === "complete") finish();
+      },
+      () => finish(new Error("タブが閉じられました"))
+    );
+  });
+}
 
-      const a4W = 210, a4H = 297, margin = 10;
-      const contentW = a4W - margin * 2;
-      const scaledH = (outH / outW) * contentW;
-      const pageH = a4H - margin * 2;
-      const totalPages = Math.ceil(scaledH / pageH);
+/**
+ * 同じ名前が既にあれば " (1)" などを付ける（chrome.downloads の uniquify と同じ形式）
+ */
+function uniquePath(path, ext, used) {
+  const stem = self.__Filename.stripExtension(path, ext);
+  let candidate = path;
+  for (let n = 1; used.has(candidate); n++) {
+    candidate = ext ? `${stem} (${n}).${ext}` : `${stem} (${n})`;
+  }
+  used.add(candidate);
+  return candidate;
+}
 
-      const pdf = new jsPDF({ orientation: "portrait", unit: "mm", format: "a4" });
+/**
+ * キャプチャしたファイルの ZIP 内のパス（downloadFiles と同じ名前の付け方）
+ *   groups: [[{ url, ext }]]
+ *   used:   ZIP 内で使用済みのパス
+ */
+function zipEntriesFor(groups, page, settings, used) {
+  const { renderFilename, stripExtension } = self.__Filename;
+  const entries = [];
+  for (const files of groups) {
+    const path = renderFilename(settings.filenameTemplate, { ...page, ext: files[0].ext });
+    if (files.length === 1) {
+      entries.push({ url: files[0].url, name: uniquePath(path, files[0].ext, used) });
+      continue;
+    }
+    const folder = uniquePath(stripExtension(path, files[0].ext), "", used);
+    for (const [i, file] of files.entries()) {
+      const part = String(i + 1).padStart(2, "0");
+      entries.push({ url: file.url, name: `${folder}/part-${part}.${file.ext}` });
+    }
+  }
+  return entries;
+}
 
-      for (let page = 0; page < totalPages; page++) {
-        if (page > 0) pdf.addPage();
+/**
+ * 一括キャプチャの1件をキャプチャ
+ * captureVisibleTab は表示中のタブしか撮れないため、撮影するタブを前面に出す。
+ * 戻り値: captureArticle（destination: "return"）の結果
+ */
+async function captureBatchItem(current, item) {
+  const { signal } = current.controller;
+  if (!/^https?:/i.test(item.url)) {
+    throw new Error("http / https のページのみキャプチャできます");
+  }
 
-        const srcYStart = Math.floor((page * pageH / scaledH) * outH);
-        const srcYEnd = Math.min(
-          Math.floor(((page + 1) * pageH / scaledH) * outH),
-          outH
-        );
-        const srcH = srcYEnd - srcYStart;
+  let { tabId } = item;
+  const opened = tabId === null;
+  if (opened) {
+    // 読み込みはバックグラウンドのタブで行い、読み込めてから前面に出す
+    ({ id: tabId } = await chrome.tabs.create({
+      windowId: current.windowId,
+      url: item.url,
+      active: false,
+    }));
+  }
 
-        const pageCanvas = document.createElement("canvas");
-        pageCanvas.width = outW;
-        pageCanvas.height = srcH;
-        const pCtx = pageCanvas.getContext("2d");
-        pCtx.drawImage(canvas, 0, srcYStart, outW, srcH, 0, 0, outW, srcH);
+  try {
+    if (jobs.size > 0) {
+      throw new Error("別のタブでキャプチャを実行中です");
+    }
+    if (opened) {
+      await waitForTabLoad(tabId, signal);
+    }
+    await chrome.tabs.update(tabId, { active: true });
+    // 破棄（discard）されていたタブは前面に出すと読み込み直される
+    await waitForTabLoad(tabId, signal);
 
-        const pageImg = pageCanvas.toDataURL("image/jpeg", 0.92);
-        const imgH = (srcH / outH) * scaledH;
-        pdf.addImage(pageImg, "JPEG", margin, margin, contentW, imgH);
-      }
+    const tab = await chrome.tabs.get(tabId);
+    item.title = tab.title || item.title;
+    current.current = tabId;
+    notifyBatch();
 
-      const pdfBlob = pdf.output("blob");
-      dataUrl = URL.createObjectURL(pdfBlob);
-    } else {
-      const blob = await new Promise((resolve) =>
-        canvas.toBlob(resolve, "image/png")
+    const job = {
+      id: nextJobId++,
+      tabId,
+      text: "開始中...",
+      percent: 0,
+      controller: current.controller,
+    };
+    jobs.set(tabId, job);
+    try {
+      return await captureArticle(
+        tabId,
+        current.format,
+        { ...current.options, destination: "return" },
+        job
       );
-      if (!blob) {
-        return { error: "画像の生成に失敗しました" };
+    } finally {
+      jobs.delete(tabId);
+      setBadge(tabId, "");
+      current.current = null;
+    }
+  } finally {
+    if (opened) {
+      await chrome.tabs.remove(tabId).catch(() => {});
+    }
+  }
+}
+
+/**
+ * 一括キャプチャを実行
+ * 1件ずつ順番にキャプチャし、失敗した項目は記録して次へ進む。
+ * 保存したファイルは設定のサブフォルダ内の1つのフォルダ、または1つの ZIP にまとめる
+ * （ファイル名は設定のテンプレートに従う）。中止した場合もそれまでに撮れた分は保存する。
+ */
+async function runBatch(current) {
+  const { signal } = current.controller;
+  const settings = await self.__Settings.getSettings();
+  const startedAt = new Date();
+  const folder = [
+    settings.subfolder,
+    self.__Filename.renderFilename(current.folder || DEFAULT_BATCH_FOLDER, { date: startedAt }),
+  ]
+    .filter(Boolean)
+    .join("/");
+  const toZip = current.bundle === "zip";
+  const usedNames = new Set();
+  let activeTab = null;
+
+  try {
+    [activeTab] = await chrome.tabs.query({ active: true, windowId: current.windowId });
+    if (toZip) {
+      await ensureOffscreenDocument();
+      await sendToOffscreen({ type: "batch-begin" });
+    }
+
+    for (const item of current.items) {
+      if (signal.aborted) {
+        item.status = "cancelled";
+        continue;
       }
-      dataUrl = URL.createObjectURL(blob);
+      item.status = "running";
+      notifyBatch();
+      try {
+        const { title, files, page } = await captureBatchItem(current, item);
+        item.title = title || item.title;
+        if (toZip) {
+          await sendToOffscreen({
+            type: "batch-add",
+            files: zipEntriesFor(files, page, settings, usedNames),
+          });
+        } else {
+          // ファイルごとの保存ダイアログは出さない
+          for (const group of files) {
+            await downloadFiles(group, page, { ...settings, subfolder: folder, saveAs: false });
+          }
+        }
+        item.status = "done";
+      } catch (err) {
+        if (signal.aborted) {
+          item.status = "cancelled";
+        } else {
+          item.status = "error";
+          item.error = err.message;
+        }
+      }
+      notifyBatch();
     }
 
-    return { dataUrl };
+    const saved = current.items.filter((item) => item.status === "done").length;
+    if (toZip && saved > 0) {
+      const { files } = await sendToOffscreen({ type: "batch-finish" });
+      await chrome.downloads.download({
+        url: files[0].url,
+        filename: `${folder}.zip`,
+        conflictAction: "uniquify",
+        saveAs: settings.saveAs,
+      });
+    }
   } catch (err) {
-    return { error: err.message };
+    current.error = err.message;
+  } finally {
+    // 撮影のために切り替えたタブを元に戻す
+    if (activeTab) {
+      await chrome.tabs.update(activeTab.id, { active: true }).catch(() => {});
+    }
+    current.running = false;
+    notifyBatch();
+  }
+
+  const count = (status) => current.items.filter((item) => item.status === status).length;
+  const summary =
+    `${current.items.length}件中 ${count("done")}件を保存しました` +
+    (count("error") ? `（${count("error")}件失敗）` : "");
+  if (current.error) {
+    showNotification(`batch-${current.id}`, "一括キャプチャに失敗しました", current.error);
+  } else if (signal.aborted) {
+    showNotification(`batch-${current.id}`, "一括キャプチャを中止しました", summary);
+  } else {
+    showNotification(`batch-${current.id}`, "一括キャプチャが完了しました", summary);
   }
 }
 
-// popup.js からのメッセージを処理
+/**
+ * 一括キャプチャを開始（終了を待たずに返す）
+ *   tabIds: キャプチャするタブ / urls: キャプチャする URL（どちらか）
+ *   windowId: タブを切り替え、URL のリストを開くウィンドウ
+ */
+async function startBatch({ windowId, tabIds = [], urls = [], format, bundle, folder, options }) {
+  if (batch?.running) {
+    throw new Error("一括キャプチャを実行中です");
+  }
+  if (jobs.size > 0) {
+    throw new Error("キャプチャを実行中です。終わってから再度お試しください");
+  }
+
+  const items = [];
+  for (const tabId of tabIds) {
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    if (tab) {
+      items.push({
+        tabId,
+        url: tab.url || "",
+        title: tab.title || "",
+        status: "pending",
+        error: null,
+      });
+    }
+  }
+  for (const url of urls) {
+    items.push({ tabId: null, url, title: "", status: "pending", error: null });
+  }
+  if (items.length === 0) {
+    throw new Error("キャプチャするタブ・URL がありません");
+  }
+
+  batch = {
+    id: nextBatchId++,
+    windowId,
+    format: format || null,
+    bundle: bundle === "zip" ? "zip" : "folder",
+    folder,
+    options: options || {},
+    items,
+    running: true,
+    current: null,
+    error: null,
+    controller: new AbortController(),
+  };
+  runBatch(batch).catch((err) => console.error("一括キャプチャに失敗しました:", err));
+  return { success: true, batch: batchSnapshot() };
+}
+
+/**
+ * 一括キャプチャを中止（撮影中の項目も中止し、残りは撮らない）
+ */
+function cancelBatch() {
+  if (!batch?.running) {
+    return { success: false, error: "実行中の一括キャプチャはありません" };
+  }
+  batch.controller.abort(new Error("キャプチャを中止しました"));
+  return { success: true };
+}
+
+// 候補プレビューで提示する候補数
+const CANDIDATE_LIMIT = 5;
+
+/**
+ * 要素ピッカーを起動
+ *   mode: "element"（カーソルで選択） | "candidates"（検出候補を切替）
+ */
+async function startPicker(tabId, format, mode = "element", options = {}) {
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    files: ["lib/article-detector.js", "picker.js"],
+  });
+  const response = await sendToTab(tabId, {
+    type: "start-picker",
+    format,
+    options,
+    mode,
+    limit: CANDIDATE_LIMIT,
+  });
+  if (!response || response.error) {
+    throw new Error(response?.error || "ピッカーを起動できませんでした");
+  }
+  return { success: true };
+}
+
+/**
+ * 履歴のファイルを再ダウンロード
+ *   groups: 履歴ページで作った Blob URL [[{ url, ext }]]
+ *   entry:  { title, url, capturedAt }（ファイル名に使う）
+ */
+async function downloadFromHistory(groups, entry) {
+  const settings = await self.__Settings.getSettings();
+  const page = { title: entry.title, url: entry.url, date: new Date(entry.capturedAt) };
+  for (const files of groups) {
+    await downloadFiles(files, page, settings);
+  }
+  return { success: true };
+}
+
+/**
+ * 履歴の画像を別の形式で保存
+ */
+async function reexportFromHistory(id, format) {
+  const settings = await self.__Settings.getSettings();
+  await ensureOffscreenDocument();
+  const { files, entry } = await sendToOffscreen({ type: "history-reexport", id, format });
+  const page = { title: entry.title, url: entry.url, date: new Date(entry.capturedAt) };
+  await downloadFiles(files, page, settings);
+  return { success: true };
+}
+
+// 拡張機能のページ（history.html / batch.html）からのメッセージか
+function isExtensionPage(sender, page) {
+  return !!sender.url && sender.url.startsWith(chrome.runtime.getURL(page));
+}
+
+// popup.js / picker.js / history.js / batch.js からのメッセージを処理
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === "start-capture" && !sender.tab) {
-    captureArticle(message.tabId, message.format)
+    runCaptureJob(message.tabId, message.format, message.options)
+      .then(async (result) => {
+        // キャプチャ中にポップアップが閉じられた場合はページ側でコピーする
+        //（開き直したポップアップがあれば capture-finished を受けてそちらでコピーする）
+        if (result.clipboardUrl && !(await hasOpenPopup())) {
+          await copyToClipboardInPage(message.tabId, result.clipboardUrl);
+          const { clipboardUrl, ...rest } = result;
+          return rest;
+        }
+        return result;
+      })
       .then((result) => sendResponse(result))
       .catch((err) => sendResponse({ success: false, error: err.message }));
     return true;
   }
+
+  if (message.type === "cancel-capture" && !sender.tab) {
+    sendResponse(cancelCaptureJob(message.tabId));
+    return true;
+  }
+
+  if (message.type === "get-capture-status" && !sender.tab) {
+    const job = jobs.get(message.tabId);
+    sendResponse(
+      job ? { running: true, text: job.text, percent: job.percent } : { running: false }
+    );
+    return true;
+  }
+
+  if (message.type === "start-picker" && !sender.tab) {
+    startPicker(message.tabId, message.format, message.mode, message.options)
+      .then((result) => sendResponse(result))
+      .catch((err) => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (message.type === "history-download" && isExtensionPage(sender, "history.html")) {
+    downloadFromHistory(message.groups, message.entry)
+      .then((result) => sendResponse(result))
+      .catch((err) => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (message.type === "history-reexport" && isExtensionPage(sender, "history.html")) {
+    reexportFromHistory(message.id, message.format)
+      .then((result) => sendResponse(result))
+      .catch((err) => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (message.type === "batch-start" && isExtensionPage(sender, "batch.html")) {
+    startBatch(message)
+      .then((result) => sendResponse(result))
+      .catch((err) => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (message.type === "batch-cancel" && isExtensionPage(sender, "batch.html")) {
+    sendResponse(cancelBatch());
+    return true;
+  }
+
+  if (message.type === "batch-status" && isExtensionPage(sender, "batch.html")) {
+    sendResponse({ batch: batchSnapshot() });
+    return true;
+  }
+
+  // ピッカーで要素が選択された → その要素でキャプチャ
+  //（この時点でポップアップは閉じているため、クリップボードへのコピーはページ側で行い、
+  //  結果はログにのみ残す）
+  // ruleSelector があれば、選択した要素をこのサイトの記事セレクタとして先に保存する
+  if (message.type === "picker-selected" && sender.tab) {
+    Promise.resolve()
+      .then(() => {
+        if (message.ruleSelector) {
+          return self.__SiteRules.updateRule(new URL(sender.tab.url).hostname, {
+            article: message.ruleSelector,
+          });
+        }
+      })
+      .then(() =>
+        runCaptureJob(sender.tab.id, message.format, {
+          ...message.options,
+          target: "picked",
+        })
+      )
+      .then((result) => {
+        if (result.clipboardUrl) {
+          return copyToClipboardInPage(sender.tab.id, result.clipboardUrl);
+        }
+      })
+      .catch((err) => console.error("キャプチャに失敗しました:", err));
+  }
+});
+
+// キーボードショートカット（manifest.json の commands）
+// 保存形式以外のオプションは既定値、ピッカーで選んだ後の保存形式は設定の既定の形式
+const COMMAND_ACTIONS = {
+  "capture-png": (tab) => runCaptureJob(tab.id, "png"),
+  "capture-pdf": (tab) => runCaptureJob(tab.id, "pdf"),
+  "start-picker": (tab) => startPicker(tab.id, null),
+};
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  const action = COMMAND_ACTIONS[command];
+  if (!action || !tab) return;
+  action(tab).catch((err) => {
+    // キャプチャの失敗は runCaptureJob が通知済み
+    if (command === "start-picker") {
+      showNotification(`picker-${tab.id}`, "ピッカーを起動できませんでした", err.message);
+    }
+    console.error("ショートカットの実行に失敗しました:", err);
+  });
+});
+
+// コンテキストメニュー
+const CONTEXT_MENU_ITEMS = [
+  { id: "capture-article", title: "記事をキャプチャ" },
+  { id: "capture-element", title: "この要素をキャプチャ" },
+];
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    for (const item of CONTEXT_MENU_ITEMS) {
+      chrome.contextMenus.create({
+        ...item,
+        contexts: ["page", "selection", "link", "image", "video"],
+        documentUrlPatterns: ["http://*/*", "https://*/*"],
+      });
+    }
+  });
+});
+
+// 保存形式は設定の既定の形式。「この要素をキャプチャ」は context-target.js が記録した要素を使う
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab) return;
+  const options = {};
+  if (info.menuItemId === "capture-element") {
+    // 記録はトップレベルのフレームでだけ行っている
+    if (info.frameId) {
+      showNotification(
+        `context-${tab.id}`,
+        "キャプチャできません",
+        "フレーム内の要素はキャプチャできません。記事全体のキャプチャをお使いください"
+      );
+      return;
+    }
+    options.target = "context";
+  } else if (info.menuItemId !== "capture-article") {
+    return;
+  }
+
+  runCaptureJob(tab.id, null, options).catch((err) =>
+    console.error("キャプチャに失敗しました:", err)
+  );
 });
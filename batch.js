@@ -0,0 +1,243 @@
+document.addEventListener("DOMContentLoaded", async () => {
+  const params = new URLSearchParams(location.search);
+
+  const sourceRadios = document.querySelectorAll('input[name="source"]');
+  const tabsSection = document.getElementById("tabsSection");
+  const urlsSection = document.getElementById("urlsSection");
+  const tabList = document.getElementById("tabList");
+  const urlList = document.getElementById("urlList");
+  const formatSelect = document.getElementById("format");
+  const bundleSelect = document.getElementById("bundle");
+  const folderInput = document.getElementById("folder");
+  const startBtn = document.getElementById("startBtn");
+  const cancelBtn = document.getElementById("cancelBtn");
+  const statusEl = document.getElementById("status");
+  const resultsEl = document.getElementById("results");
+
+  const STATUS_LABELS = {
+    pending: "待機中",
+    running: "撮影中",
+    done: "保存済み",
+    error: "失敗",
+    cancelled: "中止",
+  };
+
+  // 撮影中のタブと、その進捗（capture-progress）。URL のリストの項目も撮影中はタブがある
+  let currentTabId = null;
+  let currentProgress = "";
+  let lastBatch = null;
+
+  function setStatus(text, type = "") {
+    statusEl.textContent = text;
+    statusEl.className = "status" + (type ? " " + type : "");
+  }
+
+  function isCapturable(url) {
+    return /^https?:\/\//i.test(url || "");
+  }
+
+  // ポップアップから開いた場合はそのウィンドウ、それ以外は最後に使った通常のウィンドウ
+  const windowId = params.has("window")
+    ? Number(params.get("window"))
+    : (await chrome.windows.getLastFocused({ windowTypes: ["normal"] })).id;
+
+  // ポップアップを開いたときに複数のタブを選択していれば、それだけを選んでおく
+  const preselected = params.has("tabs")
+    ? new Set(params.get("tabs").split(",").map(Number))
+    : null;
+
+  function selectedSource() {
+    return document.querySelector('input[name="source"]:checked').value;
+  }
+
+  function updateSourceVisibility() {
+    const source = selectedSource();
+    tabsSection.classList.toggle("hidden", source !== "tabs");
+    urlsSection.classList.toggle("hidden", source !== "urls");
+  }
+
+  sourceRadios.forEach((radio) => radio.addEventListener("change", updateSourceVisibility));
+
+  async function showTabs() {
+    const tabs = (await chrome.tabs.query({ windowId })).filter((tab) => isCapturable(tab.url));
+    tabList.textContent = "";
+    if (tabs.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "hint";
+      empty.textContent = "キャプチャできるタブがありません";
+      tabList.appendChild(empty);
+      return;
+    }
+    for (const tab of tabs) {
+      const item = document.createElement("li");
+      const label = document.createElement("label");
+      label.className = "option-row";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = tab.id;
+      checkbox.checked = !preselected || preselected.has(tab.id);
+      const title = document.createElement("span");
+      title.className = "tab-title";
+      title.textContent = tab.title || tab.url;
+      title.title = tab.url;
+      label.append(checkbox, title);
+      item.appendChild(label);
+      tabList.appendChild(item);
+    }
+  }
+
+  function setAllTabs(checked) {
+    for (const checkbox of tabList.querySelectorAll("input")) checkbox.checked = checked;
+  }
+
+  document.getElementById("selectAllBtn").addEventListener("click", () => setAllTabs(true));
+  document.getElementById("selectNoneBtn").addEventListener("click", () => setAllTabs(false));
+
+  /**
+   * URL のリストを読む（空行と # で始まる行は無視、重複は1つにまとめる）
+   * http / https 以外の行があればエラーにする
+   */
+  function parseUrls(text) {
+    const urls = [];
+    for (const [i, rawLine] of text.split("\n").entries()) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith("#")) continue;
+      let url;
+      try {
+        url = new URL(line);
+      } catch {
+        url = null;
+      }
+      if (!url || !isCapturable(url.href)) {
+        throw new Error(`${i + 1}行目は http / https の URL ではありません: ${line}`);
+      }
+      if (!urls.includes(url.href)) urls.push(url.href);
+    }
+    return urls;
+  }
+
+  function setRunning(running) {
+    startBtn.disabled = running;
+    cancelBtn.disabled = !running;
+    const fields = document.querySelectorAll(
+      ".section input, .section select, .section textarea, .small-btn"
+    );
+    for (const el of fields) el.disabled = running;
+  }
+
+  function render(batch) {
+    lastBatch = batch;
+    currentTabId = batch.current;
+    resultsEl.textContent = "";
+    for (const item of batch.items) {
+      const row = document.createElement("li");
+      row.className = "result-item " + item.status;
+
+      const status = document.createElement("div");
+      status.className = "result-status";
+      status.textContent = STATUS_LABELS[item.status] || item.status;
+
+      const body = document.createElement("div");
+      body.className = "result-body";
+      const title = document.createElement("div");
+      title.className = "result-title";
+      title.textContent = item.title || item.url;
+      const detail = document.createElement("div");
+      detail.className = "result-detail";
+      if (item.status === "error") {
+        detail.textContent = item.error;
+      } else if (item.status === "running" && currentProgress) {
+        detail.textContent = currentProgress;
+      } else {
+        detail.textContent = item.url;
+      }
+      body.append(title, detail);
+
+      row.append(status, body);
+      resultsEl.appendChild(row);
+    }
+
+    const count = (s) => batch.items.filter((item) => item.status === s).length;
+    const finished = count("done") + count("error") + count("cancelled");
+    if (batch.running) {
+      setStatus(`キャプチャ中... (${finished}/${batch.items.length})`);
+    } else if (batch.error) {
+      setStatus("一括キャプチャに失敗しました: " + batch.error, "error");
+    } else {
+      setStatus(
+        `${batch.items.length}件中 ${count("done")}件を保存しました` +
+          (count("error") ? `（${count("error")}件失敗）` : ""),
+        count("error") || count("cancelled") ? "error" : "success"
+      );
+    }
+    setRunning(batch.running);
+  }
+
+  startBtn.addEventListener("click", async () => {
+    const message = {
+      type: "batch-start",
+      windowId,
+      format: formatSelect.value,
+      bundle: bundleSelect.value,
+      folder: folderInput.value.trim(),
+    };
+    try {
+      if (selectedSource() === "tabs") {
+        message.tabIds = Array.from(tabList.querySelectorAll("input:checked"), (el) =>
+          Number(el.value)
+        );
+      } else {
+        message.urls = parseUrls(urlList.value);
+      }
+    } catch (err) {
+      setStatus(err.message, "error");
+      return;
+    }
+    if ((message.tabIds || message.urls).length === 0) {
+      setStatus("キャプチャするタブ・URL を選んでください", "error");
+      return;
+    }
+
+    currentProgress = "";
+    setRunning(true);
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response?.success) {
+      setRunning(false);
+      setStatus(response?.error || "一括キャプチャを開始できませんでした", "error");
+      return;
+    }
+    render(response.batch);
+  });
+
+  cancelBtn.addEventListener("click", async () => {
+    cancelBtn.disabled = true;
+    setStatus("中止しています...");
+    const response = await chrome.runtime.sendMessage({ type: "batch-cancel" });
+    if (!response?.success) {
+      setStatus(response?.error || "中止できませんでした", "error");
+    }
+  });
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === "batch-progress" && message.batch) {
+      if (message.batch.current !== currentTabId) currentProgress = "";
+      render(message.batch);
+    }
+    if (
+      message.type === "capture-progress" &&
+      lastBatch?.running &&
+      message.tabId === currentTabId
+    ) {
+      currentProgress = message.text;
+      render(lastBatch);
+    }
+  });
+
+  const settings = await window.__Settings.getSettings();
+  formatSelect.value = settings.format;
+  await showTabs();
+
+  // 実行中（または直前）の一括キャプチャがあれば表示する
+  const { batch } = await chrome.runtime.sendMessage({ type: "batch-status" });
+  if (batch) render(batch);
+});
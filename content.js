@@ -4,46 +4,994 @@
 (() => {
   "use strict";
 
+  /**
+   * キャプチャのためにページへ加えた変更の記録
+   * content.js は再注入されるため window 上に保持する。
+   *   styles: [{ el, prop, value, priority }]（変更前のインラインスタイル）
+   *   scroll: 最初にスクロールする前の位置 { scrollers, x, y }
+   *   undo:   freezePage で加えた変更を戻す関数（動画の再生、挿入した要素の削除など）
+   */
+  if (!window.__articleCaptureChanges) {
+    window.__articleCaptureChanges = { styles: [], scroll: null, undo: [] };
+  }
+  const changes = window.__articleCaptureChanges;
+
+  /**
+   * キャプチャの設定（detect-article で受け取り、再注入後も使えるよう window 上に保持）
+   *   padding:     記事の周囲に含める余白（CSS px）
+   *   removeNoise: ノイズ要素を非表示にするか
+   *   rule:        このサイトのルール { article, hide, keep }（lib/site-rules.js 参照）
+   */
+  if (!window.__articleCaptureSettings) {
+    window.__articleCaptureSettings = { padding: 8, removeNoise: true, rule: null };
+  }
+  const captureSettings = window.__articleCaptureSettings;
+
+  /**
+   * インラインスタイルを上書きし、元の値を記録する
+   * 同じ要素・プロパティを複数回上書きしても、記録するのは最初の値だけ。
+   */
+  function overrideStyle(el, prop, value) {
+    const recorded = changes.styles.some((c) => c.el === el && c.prop === prop);
+    if (!recorded) {
+      changes.styles.push({
+        el,
+        prop,
+        value: el.style.getPropertyValue(prop),
+        priority: el.style.getPropertyPriority(prop),
+      });
+    }
+    el.style.setProperty(prop, value, "important");
+  }
+
+  /**
+   * 記録した変更をすべて元に戻す
+   */
+  function restorePage() {
+    for (const undo of changes.undo.reverse()) {
+      try {
+        undo();
+      } catch (err) {
+        console.warn("ページの変更を戻せませんでした:", err);
+      }
+    }
+    changes.undo = [];
+
+    // 後から加えた変更から順に戻す
+    for (const { el, prop, value, priority } of changes.styles.reverse()) {
+      if (value) {
+        el.style.setProperty(prop, value, priority);
+      } else {
+        el.style.removeProperty(prop);
+      }
+    }
+    const restored = changes.styles.length;
+    changes.styles = [];
+
+    if (changes.scroll) {
+      const { scrollers, x, y } = changes.scroll;
+      scrollAxis(scrollers.y, "top", y);
+      scrollAxis(scrollers.x, "left", x);
+      changes.scroll = null;
+    }
+
+    window.__articleCaptureHiddenFixed = false;
+    window.__articleCaptureFrozen = false;
+    return { restored };
+  }
+
+  /**
+   * セレクタに一致する要素を列挙（ユーザーが書いたセレクタの構文エラーは無視する）
+   */
+  function queryAll(root, selectors) {
+    const found = [];
+    for (const selector of selectors || []) {
+      try {
+        found.push(...root.querySelectorAll(selector));
+      } catch {
+        console.warn("無効なセレクタです:", selector);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * 要素が keep のセレクタに一致する要素か、その祖先・子孫か
+   * （祖先を隠すと残したい要素も消えるため、子孫に一致する場合も残す）
+   */
+  function isKept(el, keepSelectors) {
+    return keepSelectors.some((selector) => {
+      try {
+        return el.matches(selector) || !!el.closest(selector) || !!el.querySelector(selector);
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * 非表示にする（Markdown / HTML には含めない）要素を列挙
+   * サイトのルールがあれば、ヒューリスティックのノイズから keep を除き、hide を加える。
+   */
+  function findNoise(detector, article) {
+    const rule = captureSettings.rule;
+    let noise = captureSettings.removeNoise ? detector.findNoisyChildren(article) : [];
+    if (!rule) return noise;
+
+    if (rule.keep.length > 0) {
+      noise = noise.filter((el) => !isKept(el, rule.keep));
+    }
+    // 記事自体やその祖先を隠すと何も写らないため除く
+    const extra = queryAll(document, rule.hide).filter(
+      (el) => !el.contains(article) && !noise.includes(el)
+    );
+    return [...noise, ...extra];
+  }
+
+  /**
+   * キャプチャ対象の要素を取得
+   *   target: "auto"   → サイトのルールの記事セレクタ、なければ ArticleDetector による自動検出
+   *   target: "picked" → picker.js で選択された要素
+   *   target: "context" → コンテキストメニューを開いた要素（context-target.js が記録）
+   */
+  function resolveTarget(detector, target) {
+    if (target === "picked") {
+      const picked = window.__articleCapturePicked;
+      if (!picked || !picked.isConnected) {
+        return { error: "選択した要素が見つかりません。もう一度選択してください" };
+      }
+      return { element: picked };
+    }
+
+    if (target === "context") {
+      const clicked = window.__articleCaptureContextTarget;
+      if (!clicked || !clicked.isConnected) {
+        return {
+          error: "右クリックした要素が見つかりません。ページを再読み込みしてからもう一度お試しください",
+        };
+      }
+      return { element: clicked };
+    }
+
+    const rule = captureSettings.rule;
+    if (rule && rule.article) {
+      const [ruled] = queryAll(document, [rule.article]);
+      if (ruled) {
+        return { element: ruled };
+      }
+      console.warn("ルールの記事セレクタに一致する要素がありません:", rule.article);
+    }
+
+    const article = detector.detectArticle();
+    if (!article) {
+      return { error: "記事要素が見つかりませんでした" };
+    }
+    return { element: article };
+  }
+
+  /**
+   * 対象の中の sticky 要素（表の見出し行や記事内のサイドバーなど）を通常の位置に戻す
+   * sticky のままだと各フレームでスクロールに追従して何度も写り込み、隠すと記事の一部が欠ける。
+   * relative にしても占める領域は変わらず、ずらし量（top など）を auto にすれば元の位置に描かれる。
+   */
+  function unstickElements(target) {
+    for (const el of [target, ...target.querySelectorAll("*")]) {
+      if (window.getComputedStyle(el).position !== "sticky") continue;
+      overrideStyle(el, "position", "relative");
+      for (const prop of ["top", "right", "bottom", "left"]) {
+        overrideStyle(el, prop, "auto");
+      }
+    }
+  }
+
   /**
    * 記事要素を検出し、位置・サイズ情報を返す
+   *   settings: { padding, removeNoise, rule }（省略した項目は前回の値のまま）
    */
-  function detectAndMeasure() {
+  function detectAndMeasure(target, settings = {}) {
     const detector = window.__ArticleDetector;
     if (!detector) {
       return { error: "ArticleDetector が読み込まれていません" };
     }
 
-    const article = detector.detectArticle();
-    if (!article) {
-      return { error: "記事要素が見つかりませんでした" };
+    Object.assign(captureSettings, settings);
+    // 新しいキャプチャの中止用（background.js の abort で中止する）
+    window.__articleCaptureAbort = new AbortController();
+    const resolved = resolveTarget(detector, target);
+    if (resolved.error) {
+      return { error: resolved.error };
     }
+    const article = resolved.element;
+    window.__articleCaptureTarget = article;
+    window.__articleCaptureScrollers = {
+      x: findScrollContainer(article, "x"),
+      y: findScrollContainer(article, "y"),
+    };
 
-    // ノイズ要素を非表示
-    const noisyElements = detector.findNoisyChildren(article);
-    for (const el of noisyElements) {
-      el.style.setProperty("display", "none", "important");
+    // ノイズ要素・ルールで指定した要素を非表示
+    for (const el of findNoise(detector, article)) {
+      overrideStyle(el, "display", "none");
     }
+    unstickElements(article);
+
+    return measureTarget(article);
+  }
+
+  /**
+   * 対象を含むスクロール可能な祖先要素を軸ごとに探す
+   * （本文が overflow: auto の div 内にあり、body 自体はスクロールしないページ向け）
+   * html が overflow: hidden で body がスクロールするページでは body を返す。
+   * その軸でドキュメント自体がスクロールする場合は null を返す。
+   */
+  function findScrollContainer(el, axis) {
+    const overflowOf = (node) => {
+      const style = window.getComputedStyle(node);
+      return axis === "x" ? style.overflowX : style.overflowY;
+    };
+
+    for (let node = el.parentElement; node; node = node.parentElement) {
+      if (node === document.documentElement) {
+        return null;
+      }
+      // html の overflow が visible なら body の overflow はウィンドウに適用される
+      //（body 自体はスクロールコンテナにならない）
+      if (node === document.body && overflowOf(document.documentElement) === "visible") {
+        return null;
+      }
+      const overflow = overflowOf(node);
+      const scrollable =
+        axis === "x"
+          ? node.scrollWidth > node.clientWidth + 1
+          : node.scrollHeight > node.clientHeight + 1;
+      if (
+        (overflow === "auto" || overflow === "scroll" || overflow === "overlay") &&
+        scrollable
+      ) {
+        return node;
+      }
+    }
+    return null;
+  }
 
+  function getScrollers() {
+    return window.__articleCaptureScrollers || { x: null, y: null };
+  }
+
+  function getScrollPosition() {
+    const scrollers = getScrollers();
+    return {
+      x: scrollers.x ? scrollers.x.scrollLeft : window.scrollX,
+      y: scrollers.y ? scrollers.y.scrollTop : window.scrollY,
+    };
+  }
+
+  /**
+   * 1軸だけスクロール（scroller が null ならウィンドウ）
+   *   side: "top" | "left"
+   */
+  function scrollAxis(scroller, side, value) {
+    (scroller || window).scrollTo({ [side]: value, behavior: "instant" });
+  }
+
+  /**
+   * スクロールによって内容が入れ替わる表示領域（ウィンドウ座標）
+   * 縦は縦方向の scroller、横は横方向の scroller の画面内に見えている部分。
+   * scroller がなければウィンドウ全体。
+   */
+  function getViewportRect() {
+    const scrollers = getScrollers();
+    // スクロールバーを除いたウィンドウの表示領域（互換モードでは clientHeight が文書の高さになる）
+    const root = document.documentElement;
+    const standards = document.compatMode === "CSS1Compat";
+    const windowHeight = standards ? root.clientHeight : window.innerHeight;
+    const windowWidth = standards ? root.clientWidth : window.innerWidth;
+
+    const clip = (scroller, side, size) => {
+      const windowSize = side === "top" ? windowHeight : windowWidth;
+      if (!scroller) {
+        return { start: 0, size: windowSize };
+      }
+      const rect = scroller.getBoundingClientRect();
+      const inner = side === "top"
+        ? rect.top + scroller.clientTop
+        : rect.left + scroller.clientLeft;
+      const start = Math.max(0, inner);
+      const end = Math.min(windowSize, inner + scroller[size]);
+      return { start, size: end - start };
+    };
+
+    const vertical = clip(scrollers.y, "top", "clientHeight");
+    const horizontal = clip(scrollers.x, "left", "clientWidth");
+    return {
+      top: vertical.start,
+      height: vertical.size,
+      left: horizontal.start,
+      width: horizontal.size,
+    };
+  }
+
+  /**
+   * キャプチャ対象の位置・サイズを計測（周囲に captureSettings.padding の余白を含める）
+   *
+   * top / left はスクロール座標（スクロール位置を (left, top) にすると、
+   * 対象の左上が表示領域の左上に来る）。表示領域がウィンドウ内のどこに
+   * あるかは viewportTop / viewportLeft で返す。
+   */
+  function measureTarget(article) {
+    const scrollers = getScrollers();
     const rect = article.getBoundingClientRect();
-    const scrollTop = window.scrollY;
+    const viewport = getViewportRect();
+    const scroll = getScrollPosition();
+    const { padding } = captureSettings;
+
+    const top = Math.max(0, rect.top - viewport.top + scroll.y - padding);
+    const left = Math.max(0, rect.left - viewport.left + scroll.x - padding);
+    const bottom = rect.bottom - viewport.top + scroll.y + padding;
+    // 右端は横にスクロールできる範囲まで（全幅の要素に余白を足しただけで
+    // 横方向のタイル撮影にならないようにする）
+    const scrollWidth = (scrollers.x || document.scrollingElement || document.documentElement)
+      .scrollWidth;
+    const right = Math.min(
+      Math.max(scrollWidth, viewport.width),
+      rect.right - viewport.left + scroll.x + padding
+    );
 
     return {
-      top: Math.max(0, rect.top + scrollTop - 8),
-      left: Math.max(0, rect.left - 8),
-      width: Math.ceil(rect.width + 16),
-      height: Math.ceil(rect.height + 16),
-      viewportWidth: window.innerWidth,
-      viewportHeight: window.innerHeight,
+      top,
+      left,
+      width: Math.ceil(right - left),
+      height: Math.ceil(bottom - top),
+      viewportTop: viewport.top,
+      viewportLeft: viewport.left,
+      viewportWidth: viewport.width,
+      viewportHeight: viewport.height,
       devicePixelRatio: window.devicePixelRatio || 1,
-      scrollY: scrollTop,
+      scrollX: scroll.x,
+      scrollY: scroll.y,
+      inContainer: !!(scrollers.x || scrollers.y),
+    };
+  }
+
+  /**
+   * 計測範囲（measureTarget）の左上のウィンドウ座標
+   * レイアウト情報（collectBlocks など）の座標の原点にする。
+   * ページの端で余白を切り詰めた分も measureTarget と一致させるため、同じ計測から求める。
+   */
+  function measureOrigin(article) {
+    const { top, left } = measureTarget(article);
+    const viewport = getViewportRect();
+    const scroll = getScrollPosition();
+    return {
+      top: top - scroll.y + viewport.top,
+      left: left - scroll.x + viewport.left,
+    };
+  }
+
+  /**
+   * 指定位置までスクロール（対象がスクロールコンテナ内ならコンテナを動かす）
+   * x を省略した場合は横方向のスクロール位置を変えない。
+   */
+  function scrollTo(y, x) {
+    const scrollers = getScrollers();
+    if (!changes.scroll) {
+      changes.scroll = { scrollers, ...getScrollPosition() };
+    }
+    scrollAxis(scrollers.y, "top", y);
+    if (x !== undefined) {
+      scrollAxis(scrollers.x, "left", x);
+    }
+  }
+
+  /**
+   * 分割してはいけないブロックの範囲を収集
+   * 座標は measureTarget の計測範囲（余白を含む）の上端を 0 とする CSS px。
+   *   type: "paragraph" 段落・リスト項目など（PNG の分割は段落単位で行う）
+   *         "heading"   見出し
+   *         "media"     画像・動画・埋め込み
+   *         "row"       表の行
+   *         "rule"      区切り線
+   *         "line"      テキストの行ボックス（PDF は行の途中で改ページしない）
+   *   戻り値: [{ top, bottom, type }]（top 昇順）
+   */
+  function collectBlocks(article) {
+    const BLOCK_TYPES = [
+      ["p, li, dt, dd, pre", "paragraph"],
+      ["h1, h2, h3, h4, h5, h6", "heading"],
+      ["img, picture, video, canvas, svg, iframe, figure", "media"],
+      ["tr", "row"],
+      ["hr", "rule"],
+    ];
+    const { top: originTop } = measureOrigin(article);
+    const blocks = [];
+
+    const push = (rect, type) => {
+      if (rect.height === 0) return;
+      blocks.push({
+        top: rect.top - originTop,
+        bottom: rect.bottom - originTop,
+        type,
+      });
+    };
+
+    for (const [selector, type] of BLOCK_TYPES) {
+      for (const el of article.querySelectorAll(selector)) {
+        push(el.getBoundingClientRect(), type);
+      }
+    }
+
+    // 行ボックス: テキストノードの Range の矩形は行ごとに分かれる
+    const walker = document.createTreeWalker(article, NodeFilter.SHOW_TEXT);
+    const range = document.createRange();
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (!node.textContent.trim()) continue;
+      range.selectNodeContents(node);
+      for (const rect of range.getClientRects()) {
+        push(rect, "line");
+      }
+    }
+
+    blocks.sort((a, b) => a.top - b.top);
+    return blocks;
+  }
+
+  /**
+   * テキストノードの offset 文字目の矩形
+   * 折りたたまれた空白（大きさ 0）なら次の文字の矩形、最後まで見つからなければ null。
+   */
+  function charRect(range, node, offset) {
+    for (let i = offset; i < node.length; i++) {
+      range.setStart(node, i);
+      range.setEnd(node, i + 1);
+      const r = range.getBoundingClientRect();
+      if (r.width !== 0 || r.height !== 0) return r;
+    }
+    return null;
+  }
+
+  /**
+   * 記事内のテキストを行ごとの断片（ラン）として位置付きで収集
+   * PDF の不可視テキストレイヤー（検索・コピー用）に使う。
+   * 座標は collectBlocks と同じく計測範囲の左上を原点とする CSS px。
+   *   戻り値: [{ text, x, y, width, height }]
+   */
+  function collectTextRuns(article) {
+    const { top: originTop, left: originLeft } = measureOrigin(article);
+    const runs = [];
+
+    const pushRun = (text, rect) => {
+      const normalized = text.replace(/\s+/g, " ").trim();
+      if (!normalized || rect.width === 0 || rect.height === 0) return;
+      runs.push({
+        text: normalized,
+        x: rect.left - originLeft,
+        y: rect.top - originTop,
+        width: rect.width,
+        height: rect.height,
+      });
+    };
+
+    const walker = document.createTreeWalker(article, NodeFilter.SHOW_TEXT);
+    const range = document.createRange();
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const text = node.textContent;
+      if (!text.trim()) continue;
+
+      range.selectNodeContents(node);
+      const rects = range.getClientRects();
+      if (rects.length === 0) continue;
+      if (rects.length === 1) {
+        pushRun(text, rects[0]);
+        continue;
+      }
+
+      // 複数行にまたがるテキストノードは、次の行に移る位置を二分探索で探して行ごとに分ける
+      //（1文字ずつ計測すると長い記事で非常に遅くなるため、計測は行数 × log(文字数) 回に抑える）
+      let start = 0;
+      while (start < text.length) {
+        const first = charRect(range, node, start);
+        if (!first) break;
+
+        let lo = start + 1;
+        let hi = text.length;
+        while (lo < hi) {
+          const mid = (lo + hi) >> 1;
+          const r = charRect(range, node, mid);
+          if (r && r.top >= first.top + first.height / 2) {
+            hi = mid;
+          } else {
+            lo = mid + 1;
+          }
+        }
+
+        range.setStart(node, start);
+        range.setEnd(node, lo);
+        pushRun(text.slice(start, lo), range.getBoundingClientRect());
+        start = lo;
+      }
+    }
+
+    return runs;
+  }
+
+  /**
+   * 記事内のリンクの位置を収集（PDF のリンク注釈に使う）
+   * 複数行にまたがるリンクは行ごとの矩形に分ける。
+   *   戻り値: [{ url, x, y, width, height }]
+   */
+  function collectLinks(article) {
+    const { top: originTop, left: originLeft } = measureOrigin(article);
+    const links = [];
+
+    for (const a of article.querySelectorAll("a[href]")) {
+      const url = a.href;
+      if (!/^(https?|mailto|ftp):/i.test(url)) continue;
+
+      for (const rect of a.getClientRects()) {
+        if (rect.width === 0 || rect.height === 0) continue;
+        links.push({
+          url,
+          x: rect.left - originLeft,
+          y: rect.top - originTop,
+          width: rect.width,
+          height: rect.height,
+        });
+      }
+    }
+
+    return links;
+  }
+
+  // JSON-LD で記事として扱う @type
+  const ARTICLE_TYPES = [
+    "Article",
+    "NewsArticle",
+    "BlogPosting",
+    "TechArticle",
+    "ScholarlyArticle",
+    "Report",
+    "WebPage",
+  ];
+
+  /**
+   * JSON-LD から記事のオブジェクトを探す（@graph・配列にも対応）
+   */
+  function findJsonLdArticle() {
+    const queue = [];
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        queue.push(JSON.parse(script.textContent));
+      } catch {
+        // 壊れた JSON-LD は無視する
+      }
+    }
+
+    let fallback = null;
+    while (queue.length > 0) {
+      const item = queue.shift();
+      if (!item || typeof item !== "object") continue;
+      if (Array.isArray(item)) {
+        queue.push(...item);
+        continue;
+      }
+      if (item["@graph"]) queue.push(item["@graph"]);
+
+      const types = [].concat(item["@type"] || []);
+      if (types.some((t) => t !== "WebPage" && ARTICLE_TYPES.includes(t))) {
+        return item;
+      }
+      if (!fallback && types.includes("WebPage")) fallback = item;
+    }
+    return fallback;
+  }
+
+  /**
+   * JSON-LD の author（文字列 / { name } / 配列）を名前の一覧にする
+   */
+  function jsonLdNames(value) {
+    return []
+      .concat(value || [])
+      .map((v) => (typeof v === "string" ? v : v?.name))
+      .filter((name) => typeof name === "string" && name.trim())
+      .map((name) => name.trim());
+  }
+
+  function metaContent(selectors) {
+    for (const selector of selectors) {
+      const content = document.querySelector(selector)?.getAttribute("content")?.trim();
+      if (content) return content;
+    }
+    return "";
+  }
+
+  /**
+   * ページのメタデータ（保存ファイルの出所の記録に使う）
+   * JSON-LD → meta タグ → 本文の <time> の順に探す。
+   *   戻り値: { title, url, pageUrl, author, published, siteName }（見つからない項目は ""）
+   *   url は canonical URL、pageUrl は実際に表示していた URL
+   */
+  function extractMetadata() {
+    const ld = findJsonLdArticle() || {};
+    const canonical = document.querySelector('link[rel="canonical"]')?.href;
+    const target = window.__articleCaptureTarget;
+
+    const title =
+      (typeof ld.headline === "string" && ld.headline.trim()) ||
+      metaContent(['meta[property="og:title"]', 'meta[name="twitter:title"]']) ||
+      document.title.trim();
+
+    const author =
+      jsonLdNames(ld.author).join(", ") ||
+      metaContent([
+        'meta[name="author"]',
+        'meta[property="article:author"]',
+        'meta[name="parsely-author"]',
+        'meta[name="sailthru.author"]',
+      ]);
+
+    const published =
+      (typeof ld.datePublished === "string" && ld.datePublished) ||
+      metaContent([
+        'meta[property="article:published_time"]',
+        'meta[name="date"]',
+        'meta[name="pubdate"]',
+        'meta[itemprop="datePublished"]',
+        'meta[name="parsely-pub-date"]',
+      ]) ||
+      (target || document).querySelector("time[datetime]")?.getAttribute("datetime") ||
+      "";
+
+    return {
+      title,
+      url: canonical || metaContent(['meta[property="og:url"]']) || location.href,
+      pageUrl: location.href,
+      author,
+      published,
+      siteName: metaContent(['meta[property="og:site_name"]']) || location.hostname,
     };
   }
 
   /**
-   * 指定位置までスクロール
+   * 検出済みの記事を Markdown / HTML に変換（ノイズ要素は含めない）
+   *   format: "markdown" | "html"
+   *   戻り値: { content, images: [{ placeholder, url }] }
+   */
+  function serializeArticle(format, capturedAt) {
+    const detector = window.__ArticleDetector;
+    const serializer = window.__ArticleSerializer;
+    const target = window.__articleCaptureTarget;
+    if (!detector || !serializer) {
+      return { error: "記事の変換モジュールが読み込まれていません" };
+    }
+    if (!target || !target.isConnected) {
+      return { error: "記事要素が見つかりません" };
+    }
+
+    const options = {
+      exclude: findNoise(detector, target),
+      metadata: { ...extractMetadata(), capturedAt },
+    };
+    if (format === "markdown") {
+      return { content: serializer.toMarkdown(target, options), images: [] };
+    }
+    const { html, images } = serializer.toHtml(target, options);
+    return { content: html, images };
+  }
+
+  /**
+   * 遅延読み込み（data-src 形式）の画像を強制的に読み込ませる
+   * 読み込ませた画像は復元時にも元に戻さない（戻すと再び空になるため）。
+   */
+  function forceLazyImages(root) {
+    const SRC_ATTRS = ["data-src", "data-lazy-src", "data-original", "data-lazy"];
+    const SRCSET_ATTRS = ["data-srcset", "data-lazy-srcset"];
+
+    for (const img of root.querySelectorAll("img, source")) {
+      if (img.loading === "lazy") {
+        img.loading = "eager";
+      }
+
+      for (const attr of SRC_ATTRS) {
+        const value = img.getAttribute(attr);
+        if (value && img.getAttribute("src") !== value) {
+          img.setAttribute("src", value);
+          break;
+        }
+      }
+      for (const attr of SRCSET_ATTRS) {
+        const value = img.getAttribute(attr);
+        if (value && img.getAttribute("srcset") !== value) {
+          img.setAttribute("srcset", value);
+          break;
+        }
+      }
+    }
+  }
+
+  /**
+   * 対象内の画像の読み込み完了を待つ（timeout ms で打ち切り）
+   */
+  function waitForImages(root, timeout, signal) {
+    const pending = [...root.querySelectorAll("img")]
+      .filter((img) => !img.complete)
+      .map(
+        (img) =>
+          new Promise((resolve) => {
+            img.addEventListener("load", resolve, { once: true });
+            img.addEventListener("error", resolve, { once: true });
+          })
+      );
+
+    return Promise.race([Promise.all(pending), sleep(timeout, signal)]);
+  }
+
+  /**
+   * ネットワークが落ち着くまで待つ
+   * Resource Timing のエントリ数が idleMs の間増えなければ完了とみなす。
+   */
+  async function waitForNetworkIdle(idleMs, timeout, signal) {
+    const deadline = Date.now() + timeout;
+    let count = performance.getEntriesByType("resource").length;
+    let idleSince = Date.now();
+
+    while (Date.now() < deadline) {
+      await sleep(100, signal);
+      const current = performance.getEntriesByType("resource").length;
+      if (current !== count) {
+        count = current;
+        idleSince = Date.now();
+      } else if (Date.now() - idleSince >= idleMs) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * 待機（signal を渡すと中止された時点で reason を投げる）
+   */
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timer);
+          reject(signal.reason);
+        },
+        { once: true }
+      );
+    });
+  }
+
+  // 描画の完了を待つ上限（タブが非表示だと requestAnimationFrame は呼ばれない）
+  const PAINT_TIMEOUT = 500;
+  // 表示領域内の画像の読み込みを待つ上限
+  const VISIBLE_IMAGE_TIMEOUT = 1000;
+
+  function nextFrame() {
+    return new Promise((r) => requestAnimationFrame(() => r()));
+  }
+
+  /**
+   * スクロール後の表示が落ち着くまで待つ
+   * 表示領域内で読み込み中の画像を待ってから、requestAnimationFrame を2回待つ
+   * （2回目のコールバックの時点で、スクロール後のフレームは描画済み）。
+   */
+  async function waitForSettle() {
+    const viewport = getViewportRect();
+    const target = window.__articleCaptureTarget;
+    const loading = target
+      ? [...target.querySelectorAll("img")].filter((img) => {
+          if (img.complete) return false;
+          const rect = img.getBoundingClientRect();
+          return rect.bottom > viewport.top && rect.top < viewport.top + viewport.height;
+        })
+      : [];
+    if (loading.length > 0) {
+      await Promise.race([
+        Promise.all(loading.map((img) => img.decode().catch(() => {}))),
+        sleep(VISIBLE_IMAGE_TIMEOUT),
+      ]);
+    }
+
+    await Promise.race([nextFrame().then(nextFrame), sleep(PAINT_TIMEOUT)]);
+  }
+
+  /**
+   * 計測前のウォームアップ
+   * 記事を一通りスクロールして遅延読み込みの画像・追加コンテンツを読み込ませ、
+   * 読み込みが落ち着いてから最終的なサイズを返す。
+   * キャプチャが中止されたら（abort）待機を打ち切り、エラーを返す。
+   */
+  async function warmUp() {
+    const article = window.__articleCaptureTarget;
+    if (!article) {
+      return { error: "キャプチャ対象が検出されていません" };
+    }
+    const signal = window.__articleCaptureAbort?.signal;
+
+    const MAX_STEPS = 50;
+    forceLazyImages(article);
+
+    // 記事の高さは読み込みに応じて伸びるため、毎回計測し直す
+    for (let step = 0; step < MAX_STEPS; step++) {
+      const { top, height, viewportHeight } = measureTarget(article);
+      const y = top + step * viewportHeight;
+      if (y >= top + height) break;
+
+      scrollTo(y);
+      await sleep(200, signal);
+      forceLazyImages(article);
+    }
+
+    await waitForImages(article, 5000, signal);
+    await waitForNetworkIdle(500, 5000, signal);
+
+    // 計測はキャプチャ開始位置に戻してから行う
+    scrollTo(measureTarget(article).top);
+    await sleep(100, signal);
+    return measureTarget(article);
+  }
+
+  /**
+   * position: fixed / sticky の要素を列挙
+   * （スクロールキャプチャの各フレームに繰り返し写り込む要素）
+   *
+   * キャプチャ対象の祖先は除外する（対象ごと消えてしまうため）。
+   * 対象の中の sticky 要素は detectAndMeasure で relative に戻してあるため、ここには現れない。
+   * 固定要素の子孫は親をまとめて隠すので列挙しない。
+   */
+  function findFixedElements(target) {
+    const found = [];
+
+    for (const el of document.body.querySelectorAll("*")) {
+      if (target && el.contains(target)) continue;
+      if (found.some((f) => f.contains(el))) continue;
+
+      const style = window.getComputedStyle(el);
+      if (style.position !== "fixed" && style.position !== "sticky") continue;
+      if (style.display === "none" || style.visibility === "hidden") continue;
+
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) continue;
+
+      found.push(el);
+    }
+
+    return found;
+  }
+
+  /**
+   * 固定要素を非表示にする
+   * visibility を使うのはレイアウト（記事の位置・高さ）を変えないため。
+   */
+  function hideFixedElements() {
+    if (window.__articleCaptureHiddenFixed) {
+      return { count: 0 };
+    }
+
+    const fixed = findFixedElements(window.__articleCaptureTarget);
+    for (const el of fixed) {
+      overrideStyle(el, "visibility", "hidden");
+    }
+
+    window.__articleCaptureHiddenFixed = true;
+    return { count: fixed.length };
+  }
+
+  const FREEZE_STYLE_ID = "__article-capture-freeze-style";
+
+  /**
+   * アニメーション GIF か（URL から判断する）
    */
-  function scrollTo(y) {
-    window.scrollTo({ top: y, behavior: "instant" });
+  function isGif(img) {
+    const src = img.currentSrc || img.src;
+    return /^data:image\/gif[;,]/i.test(src) || /\.gif($|[?#])/i.test(src);
+  }
+
+  /**
+   * GIF を静止画の canvas に差し替える
+   * canvas には drawImage で描いた1フレームだけが残る。別オリジンの画像でも
+   * 描画はできる（読み出せないだけ）ため、ページから取得し直す必要はない。
+   */
+  function freezeGif(img) {
+    const rect = img.getBoundingClientRect();
+    if (!img.complete || img.naturalWidth === 0 || rect.width === 0) return false;
+
+    const canvas = document.createElement("canvas");
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    canvas.getContext("2d").drawImage(img, 0, 0);
+
+    // img 向けの CSS は canvas に当たらないため、レイアウトに関わる値を写す
+    const style = window.getComputedStyle(img);
+    canvas.className = img.className;
+    canvas.style.cssText = img.style.cssText;
+    for (const prop of [
+      "display", "float", "vertical-align", "margin-top", "margin-right",
+      "margin-bottom", "margin-left", "border-radius", "object-fit",
+    ]) {
+      canvas.style.setProperty(prop, style.getPropertyValue(prop));
+    }
+    canvas.style.setProperty("width", rect.width + "px");
+    canvas.style.setProperty("height", rect.height + "px");
+
+    // Markdown / HTML には canvas ではなく元の GIF を出力する（lib/article-serializer.js 参照）
+    canvas.setAttribute("data-article-capture", "stand-in");
+    img.setAttribute("data-article-capture", "original");
+
+    img.before(canvas);
+    overrideStyle(img, "display", "none");
+    changes.undo.push(() => {
+      canvas.remove();
+      img.removeAttribute("data-article-capture");
+    });
+    return true;
+  }
+
+  /**
+   * 動きのある要素を止める（撮影するフレームの間で表示が変わり、継ぎ目がずれるのを防ぐ）
+   *   - CSS アニメーション・Web Animations を一時停止し、トランジションを無効化
+   *   - 再生中の動画を一時停止、<marquee> を停止
+   *   - キャプチャ対象内の GIF を静止画に差し替え
+   * カルーセルの自動再生はページのスクリプトを呼ぶ必要があるため background.js で止める。
+   * 変更は changes.undo に記録し、restorePage で元に戻す。
+   */
+  function freezePage() {
+    if (window.__articleCaptureFrozen) {
+      return { animations: 0, videos: 0, marquees: 0, images: 0 };
+    }
+
+    const style = document.createElement("style");
+    style.id = FREEZE_STYLE_ID;
+    style.textContent = [
+      "*, *::before, *::after {",
+      "  transition: none !important;",
+      "  animation-play-state: paused !important;",
+      "  caret-color: transparent !important;",
+      "}",
+    ].join("\n");
+    document.documentElement.appendChild(style);
+    changes.undo.push(() => style.remove());
+
+    let animations = 0;
+    // トランジションは上のスタイルで打ち切られるため、止めるのはアニメーションだけ
+    for (const animation of document.getAnimations()) {
+      if (animation instanceof CSSTransition || animation.playState !== "running") continue;
+      animation.pause();
+      changes.undo.push(() => animation.play());
+      animations++;
+    }
+
+    let videos = 0;
+    for (const video of document.querySelectorAll("video")) {
+      if (video.paused) continue;
+      video.pause();
+      changes.undo.push(() => video.play().catch(() => {}));
+      videos++;
+    }
+
+    let marquees = 0;
+    for (const marquee of document.querySelectorAll("marquee")) {
+      marquee.stop();
+      changes.undo.push(() => marquee.start());
+      marquees++;
+    }
+
+    let images = 0;
+    const target = window.__articleCaptureTarget;
+    if (target) {
+      for (const img of target.querySelectorAll("img")) {
+        if (isGif(img) && freezeGif(img)) images++;
+      }
+    }
+
+    window.__articleCaptureFrozen = true;
+    return { animations, videos, marquees, images };
   }
 
   // リスナー再登録
@@ -53,21 +1001,70 @@
 
   window.__articleCaptureListener = (message, sender, sendResponse) => {
     if (message.type === "detect-article") {
-      sendResponse(detectAndMeasure());
+      sendResponse(detectAndMeasure(message.target, message.settings));
+      return true;
+    }
+    if (message.type === "warm-up") {
+      warmUp()
+        .then(sendResponse)
+        .catch((err) => sendResponse({ error: err.message }));
       return true;
     }
     if (message.type === "scroll-to") {
-      scrollTo(message.y);
-      // スクロール完了を少し待つ
-      setTimeout(() => {
-        sendResponse({ scrollY: window.scrollY });
-      }, 150);
+      scrollTo(message.y, message.x);
+      // スクロール後の描画が済んでから応答する（background.js はすぐに撮影する）
+      waitForSettle().then(() => {
+        // 遅延読み込み等で記事の高さが変わっていないか確認できるよう、
+        // 現在の計測値も返す
+        const target = window.__articleCaptureTarget;
+        const scroll = getScrollPosition();
+        sendResponse({
+          scrollX: scroll.x,
+          scrollY: scroll.y,
+          measure: target ? measureTarget(target) : null,
+        });
+      });
+      return true;
+    }
+    if (message.type === "collect-layout") {
+      // PDF の改ページ・テキストレイヤー等に使うレイアウト情報
+      const target = window.__articleCaptureTarget;
+      const layout = {};
+      if (target && message.blocks) layout.blocks = collectBlocks(target);
+      if (target && message.text) layout.textRuns = collectTextRuns(target);
+      if (target && message.links) layout.links = collectLinks(target);
+      sendResponse(layout);
+      return true;
+    }
+    if (message.type === "get-metadata") {
+      sendResponse(extractMetadata());
+      return true;
+    }
+    if (message.type === "serialize-article") {
+      sendResponse(serializeArticle(message.format, message.capturedAt));
+      return true;
+    }
+    if (message.type === "freeze-page") {
+      sendResponse(freezePage());
+      return true;
+    }
+    if (message.type === "hide-fixed") {
+      sendResponse(hideFixedElements());
+      return true;
+    }
+    if (message.type === "abort") {
+      window.__articleCaptureAbort?.abort(new Error("キャプチャを中止しました"));
+      sendResponse({ ok: true });
+      return true;
+    }
+    if (message.type === "restore-page") {
+      sendResponse(restorePage());
       return true;
     }
     if (message.type === "get-scroll") {
       sendResponse({
-        scrollY: window.scrollY,
-        viewportHeight: window.innerHeight,
+        scrollY: getScrollPosition().y,
+        viewportHeight: getViewportRect().height,
       });
       return true;
     }
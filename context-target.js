@@ -0,0 +1,39 @@
+/**
+ * Context Target - 右クリックした要素の記録
+ *
+ * コンテキストメニューの「この要素をキャプチャ」で使う要素を
+ * window.__articleCaptureContextTarget に保持する（content.js の target: "context"）。
+ * メニューのクリックイベントにはクリックした要素が含まれないため、
+ * manifest.json の content_scripts として常に読み込み、contextmenu イベントで記録する。
+ * content.js と同じ隔離された世界で動くため、window 上の値を共有できる。
+ */
+(() => {
+  "use strict";
+
+  // 単独では意味のある範囲にならないインライン要素でも、そのまま対象にする要素
+  const REPLACED_TAGS = new Set(["IMG", "VIDEO", "CANVAS", "SVG", "PICTURE", "IFRAME"]);
+
+  /**
+   * 右クリックした要素から、キャプチャ対象にする要素を決める
+   * テキストのリンクや強調（インライン要素）の場合は、それを含むブロック要素にする。
+   */
+  function resolveBlock(el) {
+    let node = el;
+    while (node && node !== document.body && node !== document.documentElement) {
+      if (REPLACED_TAGS.has(node.tagName.toUpperCase())) return node;
+      const display = window.getComputedStyle(node).display;
+      if (display !== "inline" && display !== "contents") return node;
+      node = node.parentElement;
+    }
+    return node;
+  }
+
+  document.addEventListener(
+    "contextmenu",
+    (e) => {
+      const el = e.target instanceof Element ? e.target : e.target?.parentElement;
+      window.__articleCaptureContextTarget = el ? resolveBlock(el) : null;
+    },
+    true
+  );
+})();
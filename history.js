@@ -0,0 +1,243 @@
+document.addEventListener("DOMContentLoaded", async () => {
+  const store = window.__HistoryStore;
+
+  const grid = document.getElementById("grid");
+  const searchInput = document.getElementById("search");
+  const formatFilter = document.getElementById("formatFilter");
+  const usageEl = document.getElementById("usage");
+  const statusEl = document.getElementById("status");
+
+  const FORMAT_LABELS = {
+    png: "PNG",
+    jpeg: "JPEG",
+    webp: "WebP",
+    pdf: "PDF",
+    markdown: "Markdown",
+    html: "HTML",
+  };
+
+  // 別の形式で保存できる形式（履歴の元画像から生成する）
+  const REEXPORT_FORMATS = ["png", "jpeg", "webp", "pdf"];
+
+  let entries = [];
+  // 表示中のサムネイルの Blob URL（再描画時に解放する）
+  let thumbnailUrls = [];
+
+  function setStatus(text, type = "") {
+    statusEl.textContent = text;
+    statusEl.className = "status" + (type ? " " + type : "");
+  }
+
+  function formatSize(bytes) {
+    if (bytes >= 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + " MB";
+    return Math.max(1, Math.round(bytes / 1024)) + " KB";
+  }
+
+  function formatDate(iso) {
+    return new Date(iso).toLocaleString("ja-JP", {
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  }
+
+  function domainOf(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, "");
+    } catch {
+      return "";
+    }
+  }
+
+  async function updateUsage() {
+    const [usage, settings] = await Promise.all([
+      store.getUsage(),
+      window.__Settings.getSettings(),
+    ]);
+    usageEl.textContent =
+      `${entries.length} 件 / ${formatSize(usage)}（上限 ${settings.historyLimitMB} MB）` +
+      (settings.historyEnabled ? "" : " ・履歴の保存は無効です");
+  }
+
+  /**
+   * 検索語（空白区切りのすべてを含む）と形式で絞り込む
+   */
+  function filterEntries() {
+    const terms = searchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+    const format = formatFilter.value;
+    return entries.filter((entry) => {
+      if (format && !entry.formats.includes(format)) return false;
+      const haystack = `${entry.title} ${entry.url}`.toLowerCase();
+      return terms.every((term) => haystack.includes(term));
+    });
+  }
+
+  async function redownload(entry) {
+    try {
+      const { groups } = await store.getFiles(entry.id);
+      const urlGroups = groups.map((files) =>
+        files.map(({ blob, ext }) => ({ url: URL.createObjectURL(blob), ext }))
+      );
+      const response = await chrome.runtime.sendMessage({
+        type: "history-download",
+        groups: urlGroups,
+        entry: { title: entry.title, url: entry.url, capturedAt: entry.capturedAt },
+      });
+      // ダウンロードが Blob を読み終えるまで少し待ってから解放する
+      setTimeout(() => {
+        for (const { url } of urlGroups.flat()) URL.revokeObjectURL(url);
+      }, 60000);
+      if (!response?.success) {
+        throw new Error(response?.error || "不明なエラー");
+      }
+      setStatus("ダウンロードしました", "success");
+    } catch (err) {
+      setStatus("ダウンロードに失敗しました: " + err.message, "error");
+    }
+  }
+
+  async function reexport(entry, format) {
+    setStatus(`${FORMAT_LABELS[format]} を生成中...`);
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "history-reexport",
+        id: entry.id,
+        format,
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || "不明なエラー");
+      }
+      setStatus(`${FORMAT_LABELS[format]} で保存しました`, "success");
+    } catch (err) {
+      setStatus("保存に失敗しました: " + err.message, "error");
+    }
+  }
+
+  async function remove(entry) {
+    try {
+      await store.deleteEntry(entry.id);
+      entries = entries.filter((e) => e.id !== entry.id);
+      render();
+      await updateUsage();
+      setStatus("削除しました", "success");
+    } catch (err) {
+      setStatus("削除に失敗しました: " + err.message, "error");
+    }
+  }
+
+  function createButton(text, onClick, className = "small-btn") {
+    const button = document.createElement("button");
+    button.className = className;
+    button.textContent = text;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  function createCard(entry) {
+    const card = document.createElement("div");
+    card.className = "card";
+
+    const thumb = document.createElement("div");
+    thumb.className = "thumb";
+    if (entry.thumbnail) {
+      const img = document.createElement("img");
+      const url = URL.createObjectURL(entry.thumbnail);
+      thumbnailUrls.push(url);
+      img.src = url;
+      img.alt = "";
+      thumb.appendChild(img);
+    } else {
+      const label = document.createElement("span");
+      label.className = "thumb-label";
+      label.textContent = entry.formats.map((f) => FORMAT_LABELS[f] || f).join(" / ");
+      thumb.appendChild(label);
+    }
+
+    const body = document.createElement("div");
+    body.className = "card-body";
+    const title = document.createElement("a");
+    title.className = "card-title";
+    title.textContent = entry.title || entry.url || "（タイトルなし）";
+    if (entry.url) {
+      title.href = entry.url;
+      title.target = "_blank";
+      title.rel = "noopener noreferrer";
+    }
+    const meta = document.createElement("div");
+    meta.className = "card-meta";
+    meta.textContent = [domainOf(entry.url), formatDate(entry.capturedAt), formatSize(entry.size)]
+      .filter(Boolean)
+      .join(" ・ ");
+    const badges = document.createElement("div");
+    for (const format of entry.formats) {
+      const badge = document.createElement("span");
+      badge.className = "badge";
+      badge.textContent = FORMAT_LABELS[format] || format;
+      badges.appendChild(badge);
+    }
+    body.append(title, meta, badges);
+
+    const actions = document.createElement("div");
+    actions.className = "card-actions";
+    actions.appendChild(createButton("再ダウンロード", () => redownload(entry)));
+    if (entry.reexportable) {
+      const select = document.createElement("select");
+      select.className = "option-select";
+      for (const format of REEXPORT_FORMATS) {
+        const option = document.createElement("option");
+        option.value = format;
+        option.textContent = FORMAT_LABELS[format];
+        select.appendChild(option);
+      }
+      actions.append(select, createButton("形式を変えて保存", () => reexport(entry, select.value)));
+    }
+    actions.appendChild(createButton("削除", () => remove(entry), "small-btn danger"));
+
+    card.append(thumb, body, actions);
+    return card;
+  }
+
+  function render() {
+    for (const url of thumbnailUrls) URL.revokeObjectURL(url);
+    thumbnailUrls = [];
+    grid.textContent = "";
+
+    const visible = filterEntries();
+    if (visible.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "empty";
+      empty.textContent = entries.length === 0 ? "履歴はまだありません" : "一致する履歴はありません";
+      grid.appendChild(empty);
+      return;
+    }
+    for (const entry of visible) {
+      grid.appendChild(createCard(entry));
+    }
+  }
+
+  searchInput.addEventListener("input", render);
+  formatFilter.addEventListener("change", render);
+
+  document.getElementById("clearBtn").addEventListener("click", async () => {
+    if (!confirm("履歴をすべて削除しますか？")) return;
+    try {
+      await store.clearEntries();
+      entries = [];
+      render();
+      await updateUsage();
+      setStatus("すべて削除しました", "success");
+    } catch (err) {
+      setStatus("削除に失敗しました: " + err.message, "error");
+    }
+  });
+
+  try {
+    entries = await store.listEntries();
+    render();
+    await updateUsage();
+  } catch (err) {
+    setStatus("履歴を読み込めませんでした: " + err.message, "error");
+  }
+});
@@ -19,6 +19,23 @@
   const NEGATIVE_PATTERN =
     /banner|breadcrumb|combx|comment|community|cover|disqus|extra|footer|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|promo|share|shopping|widget|nav|meta|tag/i;
 
+  // 記事本文を直接指すセレクタ（上から優先）
+  const SEMANTIC_SELECTORS = [
+    '[itemprop="articleBody"]',
+    '[role="article"] [itemprop="text"]',
+    "article .post-content",
+    "article .entry-content",
+    "article .article-body",
+    "article .article-content",
+    ".post-content",
+    ".entry-content",
+    ".article-body",
+    ".article-content",
+    "article",
+    "main",
+    '[role="main"]',
+  ];
+
   // 除外すべきタグ
   const REMOVE_TAGS = new Set([
     "SCRIPT",
@@ -66,94 +83,97 @@
   }
 
   /**
-   * 要素のスコアを計算
+   * 要素のスコアを内訳付きで計算
    */
-  function scoreElement(el) {
-    let score = 0;
+  function scoreElementDetailed(el) {
     const tag = el.tagName;
     const className = el.className || "";
     const id = el.id || "";
     const classAndId = className + " " + id;
+    const breakdown = {};
 
     // タグベースのスコア
-    if (tag === "ARTICLE") score += 30;
-    if (tag === "MAIN") score += 25;
-    if (tag === "SECTION") score += 5;
-    if (tag === "DIV") score += 1;
+    breakdown.tag = 0;
+    if (tag === "ARTICLE") breakdown.tag += 30;
+    if (tag === "MAIN") breakdown.tag += 25;
+    if (tag === "SECTION") breakdown.tag += 5;
+    if (tag === "DIV") breakdown.tag += 1;
 
     // role属性
     const role = el.getAttribute("role") || "";
-    if (role === "main") score += 25;
-    if (role === "article") score += 20;
+    breakdown.role = 0;
+    if (role === "main") breakdown.role += 25;
+    if (role === "article") breakdown.role += 20;
 
     // itemprop属性
     const itemprop = el.getAttribute("itemprop") || "";
-    if (itemprop === "articleBody" || itemprop === "text") score += 30;
+    breakdown.itemprop =
+      itemprop === "articleBody" || itemprop === "text" ? 30 : 0;
 
     // クラス名・IDのパターンマッチ
-    if (POSITIVE_PATTERN.test(classAndId)) score += 20;
-    if (NEGATIVE_PATTERN.test(classAndId)) score -= 30;
+    breakdown.pattern = 0;
+    if (POSITIVE_PATTERN.test(classAndId)) breakdown.pattern += 20;
+    if (NEGATIVE_PATTERN.test(classAndId)) breakdown.pattern -= 30;
 
     // テキスト密度
     const textLen = getTotalTextLength(el);
-    score += Math.min(textLen / 100, 30); // テキストが多いほど加点（最大30）
+    breakdown.textLength = Math.min(textLen / 100, 30); // テキストが多いほど加点（最大30）
 
     // <p>タグの数
     const pCount = el.querySelectorAll("p").length;
-    score += Math.min(pCount * 3, 30); // <p>が多いほど加点（最大30）
+    breakdown.paragraphs = Math.min(pCount * 3, 30); // <p>が多いほど加点（最大30）
 
     // <img>タグの数（記事には画像も含まれる）
     const imgCount = el.querySelectorAll("img").length;
-    score += Math.min(imgCount * 2, 10);
+    breakdown.images = Math.min(imgCount * 2, 10);
 
     // リンク密度が高いとペナルティ（ナビバーなど）
     const linkDensity = getLinkDensity(el);
-    if (linkDensity > 0.5) score -= 30;
-    if (linkDensity > 0.3) score -= 15;
+    breakdown.linkDensity = 0;
+    if (linkDensity > 0.5) breakdown.linkDensity -= 30;
+    if (linkDensity > 0.3) breakdown.linkDensity -= 15;
 
     // 要素が小さすぎる場合はペナルティ
-    if (textLen < 50) score -= 20;
+    breakdown.size = textLen < 50 ? -20 : 0;
+
+    let score = 0;
+    for (const key of Object.keys(breakdown)) {
+      score += breakdown[key];
+    }
 
-    return score;
+    return {
+      score,
+      breakdown,
+      stats: { textLength: textLen, paragraphs: pCount, images: imgCount, linkDensity },
+    };
   }
 
   /**
-   * 記事要素を検出する
+   * 要素のスコアを計算
    */
-  function detectArticle() {
-    // Step 1: セマンティック要素を直接探す
-    const semanticSelectors = [
-      '[itemprop="articleBody"]',
-      '[role="article"] [itemprop="text"]',
-      "article .post-content",
-      "article .entry-content",
-      "article .article-body",
-      "article .article-content",
-      ".post-content",
-      ".entry-content",
-      ".article-body",
-      ".article-content",
-      "article",
-      "main",
-      '[role="main"]',
-    ];
-
-    // まずセマンティックセレクタで探す（高信頼度）
-    for (const selector of semanticSelectors) {
+  function scoreElement(el) {
+    return scoreElementDetailed(el).score;
+  }
+
+  /**
+   * セマンティックセレクタで記事要素を探す（高信頼度）
+   */
+  function findSemanticArticle() {
+    for (const selector of SEMANTIC_SELECTORS) {
       const el = document.querySelector(selector);
       if (el && getTotalTextLength(el) > 200) {
-        return el;
+        return { element: el, selector };
       }
     }
+    return null;
+  }
 
-    // Step 2: ヒューリスティックスコアリング
-    const candidates = document.querySelectorAll(
-      "div, section, article, main"
-    );
-    let bestElement = null;
-    let bestScore = -Infinity;
-
-    for (const el of candidates) {
+  /**
+   * ヒューリスティックスコアリングの対象となる要素を列挙
+   */
+  function getScoringCandidates() {
+    const candidates = [];
+    for (const el of document.querySelectorAll("div, section, article, main")) {
       // 除外すべき祖先を持つ要素はスキップ
       if (el.closest("nav, footer, header, aside")) continue;
 
@@ -161,6 +181,26 @@
       const style = window.getComputedStyle(el);
       if (style.display === "none" || style.visibility === "hidden") continue;
 
+      candidates.push(el);
+    }
+    return candidates;
+  }
+
+  /**
+   * 記事要素を検出する
+   */
+  function detectArticle() {
+    // Step 1: セマンティック要素を直接探す
+    const semantic = findSemanticArticle();
+    if (semantic) {
+      return semantic.element;
+    }
+
+    // Step 2: ヒューリスティックスコアリング
+    let bestElement = null;
+    let bestScore = -Infinity;
+
+    for (const el of getScoringCandidates()) {
       const score = scoreElement(el);
 
       if (score > bestScore) {
@@ -177,6 +217,53 @@
     return bestElement;
   }
 
+  /**
+   * 記事候補をスコア順に上位 limit 件返す
+   *
+   * detectArticle() と同じ優先順位で並べる:
+   *   セマンティックセレクタで見つかった要素 → スコア上位の要素 → body
+   * 各候補: { element, score, breakdown, stats, source, selector? }
+   */
+  function rankCandidates(limit = 5) {
+    const ranked = [];
+    const seen = new Set();
+
+    const semantic = findSemanticArticle();
+    if (semantic) {
+      ranked.push({
+        element: semantic.element,
+        ...scoreElementDetailed(semantic.element),
+        source: "semantic",
+        selector: semantic.selector,
+      });
+      seen.add(semantic.element);
+    }
+
+    const scored = [];
+    for (const el of getScoringCandidates()) {
+      if (seen.has(el)) continue;
+      scored.push({ element: el, ...scoreElementDetailed(el), source: "heuristic" });
+    }
+    scored.sort((a, b) => b.score - a.score);
+
+    for (const candidate of scored) {
+      if (ranked.length >= limit) break;
+      if (candidate.score < 10) break;
+      ranked.push(candidate);
+      seen.add(candidate.element);
+    }
+
+    if (ranked.length < limit && !seen.has(document.body)) {
+      ranked.push({
+        element: document.body,
+        ...scoreElementDetailed(document.body),
+        source: "fallback",
+      });
+    }
+
+    return ranked.slice(0, limit);
+  }
+
   /**
    * 検出した記事要素の不要な子要素を特定
    * （実際には削除せず、キャプチャ時に非表示にする要素リストを返す）
@@ -211,6 +298,8 @@
   window.__ArticleDetector = {
     detectArticle,
     findNoisyChildren,
+    rankCandidates,
     scoreElement,
+    scoreElementDetailed,
   };
 })();
@@ -0,0 +1,647 @@
+/**
+ * Article Serializer - 記事要素を Markdown / HTML に変換
+ *
+ * スクリーンショットとは別に、記事をテキストとして差分を取ったり編集したり
+ * できる形で書き出す。exclude に渡した要素（ArticleDetector.findNoisyChildren の
+ * 結果など）とその子孫は出力しない。
+ *
+ * HTML の画像は src をプレースホルダーに置き換え、元の URL との対応を
+ * images として返す（offscreen.js が取得して data URL に埋め込む）。
+ * 見た目は元のページの計算済みスタイルを各要素の style 属性に写して再現する。
+ */
+(() => {
+  "use strict";
+
+  // 中身ごと出力しないタグ
+  const SKIP_TAGS = new Set([
+    "SCRIPT",
+    "STYLE",
+    "NOSCRIPT",
+    "TEMPLATE",
+    "IFRAME",
+    "OBJECT",
+    "EMBED",
+    "BUTTON",
+    "INPUT",
+    "SELECT",
+    "TEXTAREA",
+    "FORM",
+    "DIALOG",
+  ]);
+
+  // Markdown でブロックとして扱うタグ（それ以外はインライン）
+  const BLOCK_TAGS = new Set([
+    "ADDRESS", "ARTICLE", "ASIDE", "BLOCKQUOTE", "DD", "DETAILS", "DIV", "DL", "DT",
+    "FIGCAPTION", "FIGURE", "FOOTER", "H1", "H2", "H3", "H4", "H5", "H6", "HEADER",
+    "HR", "LI", "MAIN", "OL", "P", "PRE", "SECTION", "SUMMARY", "TABLE", "UL",
+  ]);
+
+  // HTML 出力でそのまま残すタグと属性（それ以外のタグは div / span に置き換える）
+  const HTML_TAGS = new Set([
+    "A", "ABBR", "B", "BLOCKQUOTE", "BR", "CAPTION", "CITE", "CODE", "DD", "DEL",
+    "DETAILS", "DFN", "DL", "DT", "EM", "FIGCAPTION", "FIGURE", "H1", "H2", "H3",
+    "H4", "H5", "H6", "HR", "I", "IMG", "INS", "KBD", "LI", "MARK", "OL", "P",
+    "PRE", "Q", "S", "SAMP", "SMALL", "SUB", "SUMMARY", "SUP", "STRONG", "TABLE",
+    "TBODY", "TD", "TFOOT", "TH", "THEAD", "TIME", "TR", "U", "UL", "VAR",
+  ]);
+  const HTML_ATTRS = new Set([
+    "alt", "cite", "colspan", "datetime", "dir", "href", "lang", "rowspan",
+    "scope", "start", "title",
+  ]);
+
+  // インライン SVG で残す要素（図形・構造・グラデーションなど）
+  // foreignObject・style・animate などは外部の読み込みやスクリプトに使えるため残さない
+  const SVG_TAGS = new Set([
+    "svg", "g", "defs", "symbol", "use", "title", "desc", "path", "rect", "circle",
+    "ellipse", "line", "polyline", "polygon", "text", "tspan", "textPath",
+    "linearGradient", "radialGradient", "stop", "clipPath", "mask", "pattern", "marker",
+  ]);
+
+  // プレースホルダーには書き出しごとの乱数を含め、記事の本文に同じ文字列があっても置き換えないようにする
+  const IMAGE_PLACEHOLDER = (nonce, index) => `__ARTICLE_IMAGE_${nonce}_${index}__`;
+
+  function createNonce() {
+    return Array.from(crypto.getRandomValues(new Uint8Array(12)), (b) =>
+      b.toString(16).padStart(2, "0")
+    ).join("");
+  }
+
+  // キャプチャ中に差し替えた要素の印（content.js の freezeGif が付ける）
+  //   "original": キャプチャのために非表示にした元の要素（非表示でも出力する）
+  //   "stand-in": 代わりに挿入した要素（出力しない）
+  const CAPTURE_MARK = "data-article-capture";
+
+  /**
+   * 出力しない要素か
+   */
+  function isSkipped(el, exclude) {
+    if (exclude.has(el) || SKIP_TAGS.has(el.tagName)) return true;
+    const mark = el.getAttribute(CAPTURE_MARK);
+    if (mark === "stand-in") return true;
+    if (mark === "original") return false;
+    return window.getComputedStyle(el).display === "none";
+  }
+
+  /**
+   * 画像の URL（遅延読み込みの data-src にも対応）
+   */
+  function imageSource(img) {
+    const src =
+      img.currentSrc ||
+      img.getAttribute("src") ||
+      img.getAttribute("data-src") ||
+      img.getAttribute("data-lazy-src") ||
+      img.getAttribute("data-original") ||
+      "";
+    if (!src || src.startsWith("data:image/gif")) return "";
+    try {
+      return new URL(src, document.baseURI).href;
+    } catch {
+      return "";
+    }
+  }
+
+  // ---------------------------------------------------------------
+  // Markdown
+  // ---------------------------------------------------------------
+
+  // 改行（<br>）の一時的な目印（空白の正規化で消えないようにする）
+  const HARD_BREAK = "\u0000";
+  const HARD_BREAK_PATTERN = /\u0000/g;
+
+  function escapeMarkdown(text) {
+    return text.replace(/([\\`*_[\]<>])/g, "\\$1");
+  }
+
+  /**
+   * 段落の行頭が見出し・リスト・区切り線として解釈されないようにする
+   * （"1. " や "# " で始まる本文など）
+   */
+  function escapeLineStart(line) {
+    return line
+      .replace(/^(\d+)([.)])(?=\s|$)/, "$1\\$2")
+      .replace(/^(#{1,6}|[-+])(?=\s|$)/, "\\$1")
+      .replace(/^(=+|-+)\s*$/, "\\$1");
+  }
+
+  /**
+   * 要素の中身をインラインの Markdown に変換
+   */
+  function inlineMarkdown(node, exclude) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return escapeMarkdown(node.textContent);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || isSkipped(node, exclude)) {
+      return "";
+    }
+    // 図の中のラベル（SVG の text）は本文ではない
+    if (node instanceof SVGElement) {
+      return "";
+    }
+
+    const children = () =>
+      Array.from(node.childNodes, (child) => inlineMarkdown(child, exclude)).join("");
+    const wrap = (marker) => {
+      const text = children().trim();
+      return text ? `${marker}${text}${marker}` : "";
+    };
+
+    switch (node.tagName) {
+      case "BR":
+        return HARD_BREAK;
+      case "STRONG":
+      case "B":
+        return wrap("**");
+      case "EM":
+      case "I":
+        return wrap("_");
+      case "DEL":
+      case "S":
+        return wrap("~~");
+      case "CODE": {
+        const code = node.textContent;
+        const fence = "`".repeat(longestRun(code, "`") + 1);
+        return code.includes("`") ? `${fence} ${code} ${fence}` : `${fence}${code}${fence}`;
+      }
+      case "A": {
+        const text = children().trim();
+        const href = node.href;
+        if (!href || !/^(https?|mailto|ftp):/i.test(href)) return text;
+        const url = href.replace(/\(/g, "%28").replace(/\)/g, "%29");
+        return `[${text || escapeMarkdown(href)}](${url})`;
+      }
+      case "IMG": {
+        const src = imageSource(node);
+        return src ? `![${escapeMarkdown(node.alt || "")}](${src})` : "";
+      }
+      default:
+        return children();
+    }
+  }
+
+  function longestRun(text, char) {
+    let longest = 0;
+    let run = 0;
+    for (const c of text) {
+      run = c === char ? run + 1 : 0;
+      longest = Math.max(longest, run);
+    }
+    return longest;
+  }
+
+  /**
+   * インラインの Markdown の空白を正規化
+   */
+  function normalizeInline(text) {
+    return text
+      .replace(/\s+/g, " ")
+      .split(HARD_BREAK)
+      .map((line) => line.trim())
+      .join("  \n")
+      .trim();
+  }
+
+  /**
+   * 要素の子をブロック単位で Markdown に変換（ブロック同士は空行で区切る）
+   */
+  function blocksMarkdown(el, exclude) {
+    const blocks = [];
+    let inline = "";
+
+    const flush = () => {
+      const text = normalizeInline(inline);
+      if (text) blocks.push(text.split("\n").map(escapeLineStart).join("\n"));
+      inline = "";
+    };
+
+    for (const child of el.childNodes) {
+      if (child.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.has(child.tagName)) {
+        if (isSkipped(child, exclude)) continue;
+        flush();
+        const block = blockMarkdown(child, exclude);
+        if (block) blocks.push(block);
+      } else {
+        inline += inlineMarkdown(child, exclude);
+      }
+    }
+    flush();
+
+    return blocks.join("\n\n");
+  }
+
+  function indent(text, prefix) {
+    return text
+      .split("\n")
+      .map((line) => (line ? prefix + line : line))
+      .join("\n");
+  }
+
+  function listMarkdown(list, exclude) {
+    const ordered = list.tagName === "OL";
+    let number = Number(list.getAttribute("start")) || 1;
+    const items = [];
+
+    for (const item of list.children) {
+      if (item.tagName !== "LI" || isSkipped(item, exclude)) continue;
+      const marker = ordered ? `${number++}. ` : "- ";
+      const body = blocksMarkdown(item, exclude);
+      // 2行目以降はマーカーの幅だけ字下げする
+      items.push(marker + indent(body, " ".repeat(marker.length)).trimStart());
+    }
+
+    return items.join("\n");
+  }
+
+  function tableMarkdown(table, exclude) {
+    const rows = Array.from(table.rows)
+      .filter((row) => !isSkipped(row, exclude))
+      .map((row) =>
+        Array.from(row.cells, (cell) =>
+          normalizeInline(inlineMarkdown(cell, exclude).replace(HARD_BREAK_PATTERN, " "))
+            .replace(/\|/g, "\\|")
+        )
+      )
+      .filter((cells) => cells.length > 0);
+    if (rows.length === 0) return "";
+
+    const columns = Math.max(...rows.map((cells) => cells.length));
+    const line = (cells) =>
+      "| " + Array.from({ length: columns }, (_, i) => cells[i] || "").join(" | ") + " |";
+
+    // 先頭行を見出しとして扱う（GFM の表は見出し行が必須）
+    const [head, ...body] = rows;
+    return [line(head), line(Array(columns).fill("---")), ...body.map(line)].join("\n");
+  }
+
+  /**
+   * ブロック要素を Markdown に変換
+   */
+  function blockMarkdown(el, exclude) {
+    const tag = el.tagName;
+
+    if (/^H[1-6]$/.test(tag)) {
+      const text = normalizeInline(inlineMarkdown(el, exclude).replace(HARD_BREAK_PATTERN, " "));
+      return text ? `${"#".repeat(Number(tag[1]))} ${text}` : "";
+    }
+
+    switch (tag) {
+      case "HR":
+        return "---";
+      case "PRE": {
+        const code = el.textContent.replace(/\n$/, "");
+        const language =
+          (el.querySelector("code")?.className || el.className).match(/(?:lang|language)-([\w+-]+)/)?.[1] ||
+          "";
+        const fence = "`".repeat(Math.max(3, longestRun(code, "`") + 1));
+        return `${fence}${language}\n${code}\n${fence}`;
+      }
+      case "BLOCKQUOTE": {
+        const body = blocksMarkdown(el, exclude);
+        return body
+          .split("\n")
+          .map((line) => (line ? `> ${line}` : ">"))
+          .join("\n");
+      }
+      case "UL":
+      case "OL":
+        return listMarkdown(el, exclude);
+      case "TABLE":
+        return tableMarkdown(el, exclude);
+      default:
+        return blocksMarkdown(el, exclude);
+    }
+  }
+
+  /**
+   * YAML の front matter（値は JSON の文字列リテラルで書く）
+   */
+  function frontMatter(metadata) {
+    const fields = [
+      ["title", metadata.title],
+      ["url", metadata.url],
+      ["author", metadata.author],
+      ["published", metadata.published],
+      ["captured", metadata.capturedAt],
+    ].filter(([, value]) => value);
+    if (fields.length === 0) return "";
+    return ["---", ...fields.map(([key, value]) => `${key}: ${JSON.stringify(value)}`), "---"].join("\n");
+  }
+
+  /**
+   * 記事要素を Markdown の文書に変換
+   *   options.exclude:  出力しない要素
+   *   options.metadata: front matter に書くページの情報
+   */
+  function toMarkdown(article, options = {}) {
+    const exclude = new Set(options.exclude || []);
+    const metadata = options.metadata || {};
+    const body = blockMarkdown(article, exclude);
+
+    // 本文が見出しで始まらない場合はタイトルを見出しとして補う
+    const heading = metadata.title && !/^# /.test(body) ? `# ${escapeMarkdown(metadata.title)}` : "";
+
+    return [frontMatter(metadata), heading, body].filter(Boolean).join("\n\n") + "\n";
+  }
+
+  // ---------------------------------------------------------------
+  // HTML
+  // ---------------------------------------------------------------
+
+  // 書き出した HTML の土台のスタイル
+  // 文字・色・余白・枠線などは元のページの計算済みスタイルを要素ごとに写す（inlineStyle）ため、
+  // ここではブラウザ既定のスタイルを打ち消し、出所の表示とはみ出しの防止だけを指定する。
+  const BASE_STYLE = `
+    * { margin: 0; padding: 0; border: 0; font: inherit; color: inherit; text-decoration: none; }
+    th { text-align: inherit; }
+    body { background: #fff; color: #222; font: 16px/1.6 sans-serif; }
+    main { margin: 0 auto; padding: 32px 20px 64px; }
+    main > h1 { font-size: 2em; font-weight: bold; line-height: 1.35; margin-bottom: 0.6em; }
+    .source { margin: 0 0 32px; padding: 12px 16px; border-left: 3px solid #4a6cf7; background: #f5f7ff; color: #555; font: 13px/1.6 sans-serif; }
+    .source a { text-decoration: underline; word-break: break-all; }
+    img, video { max-width: 100%; height: auto; }
+    svg { max-width: 100%; }
+    pre { overflow: auto; }
+    table { display: block; overflow: auto; }
+  `;
+
+  // 要素に写す計算済みスタイル
+  //   継承するプロパティ: 親と値が違う場合だけ書く（記事のルートではすべて書く）
+  //   継承しないプロパティ: 初期値（BASE_STYLE で打ち消した値）と違う場合だけ書く
+  const INHERITED_PROPS = [
+    "color", "font-family", "font-size", "font-style", "font-weight", "line-height",
+    "letter-spacing", "word-spacing", "text-align", "text-indent", "text-transform",
+    "white-space", "word-break", "overflow-wrap", "list-style-type", "border-collapse",
+  ];
+  const BOX_PROPS = {
+    "background-color": "rgba(0, 0, 0, 0)",
+    "margin-top": "0px",
+    "margin-right": "0px",
+    "margin-bottom": "0px",
+    "margin-left": "0px",
+    "padding-top": "0px",
+    "padding-right": "0px",
+    "padding-bottom": "0px",
+    "padding-left": "0px",
+    "border-top-left-radius": "0px",
+    "border-top-right-radius": "0px",
+    "border-bottom-right-radius": "0px",
+    "border-bottom-left-radius": "0px",
+    "vertical-align": "baseline",
+    "float": "none",
+    "clear": "none",
+  };
+  // 横並びのレイアウト（display が flex / grid などの場合だけ、関連するプロパティも写す）
+  const LAYOUT_DISPLAYS = new Set(["flex", "inline-flex", "grid", "inline-grid", "inline-block"]);
+  const LAYOUT_PROPS = [
+    "flex-direction", "flex-wrap", "justify-content", "align-items", "row-gap", "column-gap",
+    "grid-template-columns",
+  ];
+
+  /**
+   * 要素の計算済みスタイルを style 属性の値にする
+   *   parentStyle: 親要素の計算済みスタイル（記事のルートでは null）
+   */
+  function inlineStyle(style, parentStyle) {
+    const declarations = [];
+    const add = (prop, value) => {
+      if (value) declarations.push(`${prop}: ${value}`);
+    };
+
+    for (const prop of INHERITED_PROPS) {
+      const value = style.getPropertyValue(prop);
+      if (!parentStyle || value !== parentStyle.getPropertyValue(prop)) add(prop, value);
+    }
+    for (const [prop, initial] of Object.entries(BOX_PROPS)) {
+      const value = style.getPropertyValue(prop);
+      if (value !== initial) add(prop, value);
+    }
+    for (const side of ["top", "right", "bottom", "left"]) {
+      const width = style.getPropertyValue(`border-${side}-width`);
+      const borderStyle = style.getPropertyValue(`border-${side}-style`);
+      if (!borderStyle || borderStyle === "none" || borderStyle === "hidden" || width === "0px") {
+        continue;
+      }
+      add(`border-${side}`, `${width} ${borderStyle} ${style.getPropertyValue(`border-${side}-color`)}`);
+    }
+    const decoration = style.getPropertyValue("text-decoration-line");
+    if (decoration && decoration !== "none") {
+      add(
+        "text-decoration",
+        `${decoration} ${style.getPropertyValue("text-decoration-style")} ${style.getPropertyValue("text-decoration-color")}`
+      );
+    }
+    const display = style.getPropertyValue("display");
+    if (LAYOUT_DISPLAYS.has(display)) {
+      add("display", display);
+      if (display !== "inline-block") {
+        for (const prop of LAYOUT_PROPS) add(prop, style.getPropertyValue(prop));
+      }
+    }
+    return declarations.join("; ");
+  }
+
+  /**
+   * 記事の背景色（記事か祖先で最初に指定されている色。なければ白）
+   */
+  function backgroundOf(article) {
+    for (let el = article; el; el = el.parentElement) {
+      const color = window.getComputedStyle(el).backgroundColor;
+      if (color && color !== "rgba(0, 0, 0, 0)" && color !== "transparent") return color;
+    }
+    return "#fff";
+  }
+
+  /**
+   * 記事要素を安全なタグ・属性だけの要素に変換（見た目は inlineStyle で写す）
+   *   images:      画像の URL → プレースホルダー（ここに追加し、src はプレースホルダーにする）
+   *   nonce:       プレースホルダーに含める書き出しごとの乱数
+   *   parentStyle: 親要素の計算済みスタイル（記事のルートでは null）
+   */
+  function cleanNode(node, doc, exclude, images, nonce, parentStyle = null) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return doc.createTextNode(node.textContent);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || isSkipped(node, exclude)) {
+      return null;
+    }
+
+    if (node.tagName === "IMG") {
+      const src = imageSource(node);
+      if (!src) return null;
+      if (!images.has(src)) images.set(src, IMAGE_PLACEHOLDER(nonce, images.size));
+      const img = doc.createElement("img");
+      img.setAttribute("src", images.get(src));
+      if (node.alt) img.setAttribute("alt", node.alt);
+      return img;
+    }
+
+    // 動画・音声は元の URL へのリンクにする
+    if (node.tagName === "VIDEO" || node.tagName === "AUDIO") {
+      const src = node.currentSrc || node.src;
+      if (!src) return null;
+      const a = doc.createElement("a");
+      a.setAttribute("href", src);
+      a.textContent = `[${node.tagName.toLowerCase()}] ${src}`;
+      return a;
+    }
+
+    // インライン SVG（図など）は図形の要素だけを残す
+    if (node instanceof SVGSVGElement) {
+      return cleanSvg(node, doc);
+    }
+
+    let tagName = node.tagName;
+    if (!HTML_TAGS.has(tagName)) {
+      tagName = BLOCK_TAGS.has(tagName) ? "DIV" : "SPAN";
+    }
+    const el = doc.createElement(tagName);
+
+    for (const attr of node.attributes) {
+      if (!HTML_ATTRS.has(attr.name)) continue;
+      let value = attr.value;
+      if (attr.name === "href" || attr.name === "cite") {
+        // 相対 URL は絶対 URL にし、javascript: などは落とす
+        try {
+          value = new URL(value, document.baseURI).href;
+        } catch {
+          continue;
+        }
+        if (!/^(https?|mailto|ftp):/i.test(value)) continue;
+      }
+      el.setAttribute(attr.name, value);
+    }
+
+    const style = window.getComputedStyle(node);
+    const declarations = inlineStyle(style, parentStyle);
+    if (declarations) el.setAttribute("style", declarations);
+
+    for (const child of node.childNodes) {
+      const cleaned = cleanNode(child, doc, exclude, images, nonce, style);
+      if (cleaned) el.appendChild(cleaned);
+    }
+
+    // 中身が空になった div / span は出力しない
+    if ((tagName === "DIV" || tagName === "SPAN") && !el.hasChildNodes()) {
+      return null;
+    }
+    return el;
+  }
+
+  /**
+   * SVG の要素を SVG_TAGS の要素と安全な属性だけに絞って複製
+   * 参照（href・url()）は文書内の "#id" だけを残し、外部の読み込みができないようにする。
+   */
+  function cleanSvg(node, doc) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return doc.createTextNode(node.textContent);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || !SVG_TAGS.has(node.localName)) {
+      return null;
+    }
+
+    const el = doc.importNode(node, false);
+    for (const attr of Array.from(el.attributes)) {
+      const name = attr.localName.toLowerCase();
+      const value = attr.value.trim();
+      const unsafe =
+        name.startsWith("on") ||
+        name === "style" ||
+        (name === "href" && !value.startsWith("#")) ||
+        (/url\(/i.test(value) && !/^url\(\s*['"]?#[^)]*\)$/i.test(value)) ||
+        /^javascript:/i.test(value);
+      if (unsafe) el.removeAttributeNode(attr);
+    }
+    for (const child of node.childNodes) {
+      const cleaned = cleanSvg(child, doc);
+      if (cleaned) el.appendChild(cleaned);
+    }
+    return el;
+  }
+
+  function formatCapturedAt(iso) {
+    const date = new Date(iso);
+    return Number.isNaN(date.getTime()) ? iso : date.toLocaleString();
+  }
+
+  /**
+   * 記事要素を1ファイルで完結する HTML 文書に変換
+   *   options.exclude:  出力しない要素
+   *   options.metadata: 出所の情報（<head> と本文冒頭に書く）
+   *   戻り値: { html, images: [{ placeholder, url }] }（画像は offscreen.js で埋め込む）
+   */
+  function toHtml(article, options = {}) {
+    const exclude = new Set(options.exclude || []);
+    const metadata = options.metadata || {};
+    const doc = document.implementation.createHTMLDocument(metadata.title || "");
+    const images = new Map();
+
+    if (document.documentElement.lang) {
+      doc.documentElement.lang = document.documentElement.lang;
+    }
+    const head = doc.head;
+    const addMeta = (attrs) => {
+      const el = doc.createElement(attrs.rel ? "link" : "meta");
+      for (const [key, value] of Object.entries(attrs)) el.setAttribute(key, value);
+      head.appendChild(el);
+    };
+    const charset = doc.createElement("meta");
+    charset.setAttribute("charset", "utf-8");
+    head.prepend(charset);
+    addMeta({ name: "viewport", content: "width=device-width, initial-scale=1" });
+    if (metadata.url) addMeta({ rel: "canonical", href: metadata.url });
+    if (metadata.author) addMeta({ name: "author", content: metadata.author });
+    if (metadata.published) addMeta({ property: "article:published_time", content: metadata.published });
+    if (metadata.capturedAt) addMeta({ name: "captured", content: metadata.capturedAt });
+    const style = doc.createElement("style");
+    style.textContent = BASE_STYLE;
+    head.appendChild(style);
+    doc.body.style.setProperty("background", backgroundOf(article));
+
+    // 本文の幅は元のページの記事の幅にそろえる（狭い画面では画面の幅まで）
+    const main = doc.createElement("main");
+    const articleWidth = Math.ceil(article.getBoundingClientRect().width);
+    if (articleWidth > 0) main.style.setProperty("max-width", `${articleWidth}px`);
+    const body = cleanNode(article, doc, exclude, images, createNonce());
+
+    // 記事に見出しがない場合はタイトルを見出しとして補う
+    if (metadata.title && !body?.querySelector("h1")) {
+      const h1 = doc.createElement("h1");
+      h1.textContent = metadata.title;
+      main.appendChild(h1);
+    }
+
+    // 出所
+    const source = doc.createElement("p");
+    source.className = "source";
+    if (metadata.url) {
+      const link = doc.createElement("a");
+      link.href = metadata.url;
+      link.textContent = metadata.url;
+      source.append(link);
+    }
+    const details = [
+      metadata.author,
+      metadata.published && `公開: ${metadata.published}`,
+      metadata.capturedAt && `取得: ${formatCapturedAt(metadata.capturedAt)}`,
+    ].filter(Boolean);
+    if (details.length > 0) {
+      if (source.hasChildNodes()) source.append(doc.createElement("br"));
+      source.append(details.join(" · "));
+    }
+    if (source.hasChildNodes()) main.appendChild(source);
+
+    if (body) main.appendChild(body);
+    doc.body.appendChild(main);
+
+    return {
+      html: "<!DOCTYPE html>\n" + doc.documentElement.outerHTML + "\n",
+      images: Array.from(images, ([url, placeholder]) => ({ placeholder, url })),
+    };
+  }
+
+  // グローバルに公開
+  window.__ArticleSerializer = {
+    toHtml,
+    toMarkdown,
+  };
+})();
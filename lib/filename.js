@@ -0,0 +1,153 @@
+/**
+ * Filename - 保存ファイル名のテンプレート
+ *
+ * "{domain}/{date}_{title}.{ext}" のようなテンプレートから
+ * chrome.downloads.download に渡せる相対パスを作る。
+ *
+ * トークン:
+ *   {title}  ページのタイトル
+ *   {domain} ドメイン（先頭の www. は除く）
+ *   {date}   撮影日（YYYY-MM-DD, ローカル時刻）
+ *   {time}   撮影時刻（HH-MM-SS, ローカル時刻）
+ *   {ext}    拡張子（テンプレートにない場合は末尾に付ける）
+ *
+ * "/" でフォルダを区切れる。トークンの値に含まれる "/" はフォルダにならない。
+ * 保存時のパスは background.js が、入力中のプレビューはオプションページが作る。
+ * 既定のテンプレート DEFAULT_TEMPLATE は lib/settings.js の既定値にも使う。
+ */
+(() => {
+  "use strict";
+
+  const DEFAULT_TEMPLATE = "article-{date}T{time}.{ext}";
+
+  // 1つのファイル名・フォルダ名の上限（UTF-8 のバイト数）
+  // 多くのファイルシステムの上限は 255 バイト。重複時の " (1)" などの余地を残す
+  const MAX_SEGMENT_BYTES = 200;
+
+  // Windows で使えないファイル名
+  const RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+  const encoder = new TextEncoder();
+
+  function pad(n) {
+    return String(n).padStart(2, "0");
+  }
+
+  function formatDate(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  function formatTime(date) {
+    return `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+  }
+
+  /**
+   * ファイル名に使えない文字を "_" に置き換え、空白を詰める
+   */
+  function cleanText(text) {
+    return String(text || "")
+      .normalize("NFC")
+      .replace(/[<>:"/\\|?*\u0000-\u001f\u007f]/g, "_")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * UTF-8 で maxBytes 以内に収まるよう末尾を切り詰める（文字の途中では切らない）
+   */
+  function truncateBytes(text, maxBytes) {
+    if (encoder.encode(text).length <= maxBytes) return text;
+    let result = "";
+    let bytes = 0;
+    for (const char of text) {
+      const size = encoder.encode(char).length;
+      if (bytes + size > maxBytes) break;
+      result += char;
+      bytes += size;
+    }
+    return result;
+  }
+
+  /**
+   * パスの1要素（ファイル名・フォルダ名）を安全な名前にする
+   *   ext: ファイル名の場合の拡張子（切り詰めても残す）
+   */
+  function sanitizeSegment(segment, ext = "") {
+    let name = segment;
+    const suffix = ext && name.endsWith("." + ext) ? "." + ext : "";
+    if (suffix) name = name.slice(0, -suffix.length);
+
+    name = truncateBytes(name, MAX_SEGMENT_BYTES - encoder.encode(suffix).length)
+      // 先頭の "."（隠しファイル）、末尾の "." と空白は使えない
+      .replace(/^[.\s]+/, "")
+      .replace(/[.\s]+$/, "");
+    if (RESERVED_NAMES.test(name)) name = "_" + name;
+    return name ? name + suffix : "";
+  }
+
+  function domainOf(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, "");
+    } catch {
+      return "";
+    }
+  }
+
+  /**
+   * テンプレートからファイルの相対パスを作る
+   *   values: { title, url, date, ext }（date は Date）
+   */
+  function renderFilename(template, values) {
+    const date = values.date || new Date();
+    const ext = values.ext || "";
+    let source = String(template || "").trim() || DEFAULT_TEMPLATE;
+    if (ext && !source.includes("{ext}")) {
+      source += ".{ext}";
+    }
+
+    const tokens = {
+      title: cleanText(values.title) || "article",
+      domain: cleanText(domainOf(values.url)) || "unknown",
+      date: formatDate(date),
+      time: formatTime(date),
+      ext,
+    };
+
+    const segments = source
+      .split(/[\\/]+/)
+      .map((part) =>
+        // トークンの値は置き換え後に区切り文字として扱わない
+        cleanText(part.replace(/\{(\w+)\}/g, (match, key) => tokens[key] ?? match))
+      )
+      .filter(Boolean);
+
+    // 最後の要素がファイル名（"." や ".." になってもフォルダとして扱わない）
+    const folders = segments
+      .slice(0, -1)
+      .filter((part) => part !== "." && part !== "..")
+      .map((part) => sanitizeSegment(part))
+      .filter(Boolean);
+    // ファイル名が空になった場合はタイトル、それも使えなければ "article" で補う
+    const withExt = (name) => (ext ? `${name}.${ext}` : name);
+    const file =
+      sanitizeSegment(segments[segments.length - 1] || "", ext) ||
+      sanitizeSegment(withExt(tokens.title), ext) ||
+      withExt("article");
+
+    return [...folders, file].join("/");
+  }
+
+  /**
+   * 拡張子を除いたパス（分割したファイルをまとめるフォルダ名に使う）
+   */
+  function stripExtension(path, ext) {
+    return ext && path.endsWith("." + ext) ? path.slice(0, -ext.length - 1) : path;
+  }
+
+  // グローバルに公開
+  self.__Filename = {
+    DEFAULT_TEMPLATE,
+    renderFilename,
+    stripExtension,
+  };
+})();
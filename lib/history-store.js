@@ -0,0 +1,178 @@
+/**
+ * History Store - キャプチャ履歴（IndexedDB）
+ *
+ * 保存したファイルを後から探して再ダウンロード・別形式で書き出しできるよう、
+ * キャプチャごとの結果を IndexedDB に保存する。
+ * offscreen document（追加）と履歴ページ（閲覧・削除）から使う。
+ *
+ * ストア:
+ *   entries  一覧表示用の情報（サムネイルを含む。ファイル本体は含まない）
+ *     { id, title, url, formats: ["png", "markdown"], capturedAt, metadata,
+ *       thumbnail: Blob | null, size, reexportable }
+ *     formats: 保存した形式（background.js の format と同じ "png" | "jpeg" | "webp" | "pdf" | "markdown" | "html"）
+ *   files    ファイル本体（entries と同じ id）
+ *     { id, groups: [[{ blob, ext }]], source: Blob | null }
+ *     groups: まとめて保存する単位（分割した画像、テキストなど）ごとのファイル
+ *     source: 別形式で書き出すための結合済みの画像（なければ書き出し不可）
+ *
+ * 一覧を読むたびにファイル本体を読み込まないよう、ストアを分けている。
+ */
+(() => {
+  "use strict";
+
+  const DB_NAME = "article-capture-history";
+  const DB_VERSION = 1;
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          const entries = db.createObjectStore("entries", { keyPath: "id", autoIncrement: true });
+          entries.createIndex("capturedAt", "capturedAt");
+          db.createObjectStore("files", { keyPath: "id" });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch((err) => {
+        dbPromise = null;
+        throw new Error("履歴のデータベースを開けませんでした: " + err.message);
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * トランザクション内で fn を実行し、完了を待って fn の戻り値（request なら結果）を返す
+   */
+  async function transact(storeNames, mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      const stores = storeNames.map((name) => tx.objectStore(name));
+      const result = fn(...stores);
+      tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("履歴の更新が中断されました"));
+    });
+  }
+
+  function sizeOf(groups, source, thumbnail) {
+    const blobs = new Set(groups.flat().map((f) => f.blob));
+    // 画像1枚の場合、source は保存したファイルと同じ Blob
+    if (source) blobs.add(source);
+    if (thumbnail) blobs.add(thumbnail);
+    let size = 0;
+    for (const blob of blobs) size += blob.size;
+    return size;
+  }
+
+  /**
+   * 履歴を追加し、合計サイズが limitBytes を超えたら古いものから削除する
+   *   entry: { title, url, formats, capturedAt, metadata, thumbnail }
+   *   files: { groups, source }
+   *   戻り値: 追加した履歴の id
+   */
+  async function addEntry(entry, files, limitBytes) {
+    const { groups, source = null } = files;
+    const record = {
+      ...entry,
+      thumbnail: entry.thumbnail || null,
+      size: sizeOf(groups, source, entry.thumbnail),
+      reexportable: !!source,
+    };
+
+    const id = await transact(["entries", "files"], "readwrite", (entries, fileStore) => {
+      const request = entries.add(record);
+      request.onsuccess = () => {
+        fileStore.put({ id: request.result, groups, source });
+      };
+      return request;
+    });
+
+    if (limitBytes > 0) {
+      await pruneToLimit(limitBytes, id);
+    }
+    return id;
+  }
+
+  /**
+   * 履歴の一覧（新しい順）
+   */
+  async function listEntries() {
+    const entries = await transact(["entries"], "readonly", (store) => store.getAll());
+    return entries.sort((a, b) => b.capturedAt.localeCompare(a.capturedAt));
+  }
+
+  async function getEntry(id) {
+    return transact(["entries"], "readonly", (store) => store.get(id));
+  }
+
+  /**
+   * ファイル本体 { groups, source } を取得
+   */
+  async function getFiles(id) {
+    const record = await transact(["files"], "readonly", (store) => store.get(id));
+    if (!record) {
+      throw new Error("履歴のファイルが見つかりません");
+    }
+    return record;
+  }
+
+  async function deleteEntry(id) {
+    await transact(["entries", "files"], "readwrite", (entries, fileStore) => {
+      entries.delete(id);
+      fileStore.delete(id);
+    });
+  }
+
+  async function clearEntries() {
+    await transact(["entries", "files"], "readwrite", (entries, fileStore) => {
+      entries.clear();
+      fileStore.clear();
+    });
+  }
+
+  /**
+   * 履歴の合計サイズ（バイト）
+   */
+  async function getUsage() {
+    const entries = await transact(["entries"], "readonly", (store) => store.getAll());
+    return entries.reduce((total, e) => total + e.size, 0);
+  }
+
+  /**
+   * 合計サイズが limitBytes 以下になるまで古い履歴から削除する
+   *   keepId: 削除しない履歴（追加したばかりのもの。単独で上限を超えても残す）
+   *   戻り値: 削除した件数
+   */
+  async function pruneToLimit(limitBytes, keepId = null) {
+    const entries = await listEntries();
+    let total = entries.reduce((sum, e) => sum + e.size, 0);
+    let removed = 0;
+
+    for (const entry of entries.reverse()) {
+      if (total <= limitBytes) break;
+      if (entry.id === keepId) continue;
+      await deleteEntry(entry.id);
+      total -= entry.size;
+      removed++;
+    }
+    return removed;
+  }
+
+  // グローバルに公開
+  window.__HistoryStore = {
+    addEntry,
+    listEntries,
+    getEntry,
+    getFiles,
+    deleteEntry,
+    clearEntries,
+    getUsage,
+    pruneToLimit,
+  };
+})();
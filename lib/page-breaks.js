@@ -0,0 +1,61 @@
+/**
+ * Page Breaks - 長い画像の分割位置を決める
+ *
+ * 結合した画像を複数のファイル・ページに分けるとき、content.js が報告した
+ * ブロック（段落・見出し・画像など）の途中で切らないよう分割位置を選ぶ。
+ */
+(() => {
+  "use strict";
+
+  /**
+   * ideal 以下で、どのブロックの内部にもかからない位置を探す
+   *   blocks: [{ top, bottom }]
+   *   min より手前まで戻らないと見つからない場合は ideal をそのまま返す
+   */
+  function findSafeBreak(blocks, ideal, min) {
+    let y = ideal;
+
+    // ブロックの上端へ戻るたびに y は小さくなるので、最大でもブロック数回で終わる
+    for (let i = 0; i <= blocks.length; i++) {
+      const spanning = blocks.find((b) => b.top < y && b.bottom > y);
+      if (!spanning) {
+        return y;
+      }
+      y = spanning.top;
+      if (y <= min) {
+        return ideal;
+      }
+    }
+
+    return ideal;
+  }
+
+  /**
+   * 高さ total を maxHeight 以下の区間に分割
+   *   blocks を渡した場合はブロックの切れ目で分割する（null なら等間隔）
+   *   1区間が maxHeight の半分未満になるほど戻る場合は切れ目を諦める
+   *   戻り値: [{ start, end }]
+   */
+  function splitRanges(total, maxHeight, blocks = null) {
+    const ranges = [];
+    let start = 0;
+
+    while (start < total) {
+      let end = Math.min(start + maxHeight, total);
+      if (blocks && end < total) {
+        end = findSafeBreak(blocks, end, start + maxHeight / 2);
+      }
+      end = Math.max(Math.floor(end), start + 1);
+      ranges.push({ start, end });
+      start = end;
+    }
+
+    return ranges;
+  }
+
+  // グローバルに公開
+  window.__PageBreaks = {
+    findSafeBreak,
+    splitRanges,
+  };
+})();
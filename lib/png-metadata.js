@@ -0,0 +1,90 @@
+/**
+ * PNG Metadata - PNG にテキストチャンク（tEXt / iTXt）を書き込む
+ *
+ * Canvas の toBlob はメタデータを付けられないため、生成した PNG の
+ * IHDR の直後にチャンクを挿入する。Latin-1 で書ける値は tEXt、
+ * それ以外（日本語のタイトルなど）は UTF-8 の iTXt にする。
+ * lib/crc32.js を先に読み込んでおくこと。
+ */
+(() => {
+  "use strict";
+
+  const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+  // シグネチャ（8） + IHDR（長さ 4 + 種類 4 + データ 13 + CRC 4）
+  const IHDR_END = 8 + 4 + 4 + 13 + 4;
+
+  function isLatin1(text) {
+    return /^[\x00-\xff]*$/.test(text);
+  }
+
+  function latin1Bytes(text) {
+    return Uint8Array.from(text, (c) => c.charCodeAt(0));
+  }
+
+  function concatBytes(parts) {
+    const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      out.set(part, offset);
+      offset += part.length;
+    }
+    return out;
+  }
+
+  /**
+   * チャンク（長さ + 種類 + データ + CRC）を作成
+   */
+  function createChunk(type, data) {
+    const typeAndData = concatBytes([latin1Bytes(type), data]);
+    const chunk = new Uint8Array(8 + data.length + 4);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(typeAndData, 4);
+    view.setUint32(8 + data.length, window.__Crc32.crc32(typeAndData));
+    return chunk;
+  }
+
+  /**
+   * キーワードと値から tEXt / iTXt チャンクを作成
+   *   キーワードは Latin-1 の 1〜79 文字（仕様上の制限）
+   */
+  function createTextChunk(keyword, text) {
+    const key = latin1Bytes(keyword.slice(0, 79));
+    if (isLatin1(text)) {
+      return createChunk("tEXt", concatBytes([key, [0], latin1Bytes(text)]));
+    }
+    // iTXt: キーワード\0 圧縮フラグ 圧縮方式 言語タグ\0 翻訳キーワード\0 テキスト
+    return createChunk(
+      "iTXt",
+      concatBytes([key, [0, 0, 0, 0, 0], new TextEncoder().encode(text)])
+    );
+  }
+
+  /**
+   * PNG の Blob にテキストチャンクを追加した Blob を返す
+   *   entries: { キーワード: 値 }（値が空の項目は書き込まない）
+   */
+  async function addTextChunks(blob, entries) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const valid =
+      PNG_SIGNATURE.every((b, i) => bytes[i] === b) &&
+      String.fromCharCode(...bytes.subarray(12, 16)) === "IHDR";
+    if (!valid) {
+      throw new Error("PNG の形式が正しくありません");
+    }
+
+    const chunks = Object.entries(entries)
+      .filter(([, value]) => value)
+      .map(([keyword, value]) => createTextChunk(keyword, String(value)));
+
+    return new Blob(
+      [bytes.subarray(0, IHDR_END), ...chunks, bytes.subarray(IHDR_END)],
+      { type: "image/png" }
+    );
+  }
+
+  // グローバルに公開
+  window.__PngMetadata = {
+    addTextChunks,
+  };
+})();
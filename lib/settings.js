@@ -0,0 +1,132 @@
+/**
+ * Settings - chrome.storage.sync に保存する設定
+ *
+ * オプションページで編集し、popup.js と background.js が読み込む。
+ * sync に保存するため、同じアカウントでログインした各端末で同じ既定値になる。
+ * 既定のファイル名のテンプレートは lib/filename.js から取るため、このファイルより先に読み込む。
+ * service worker（background.js）からも importScripts で読み込むため、
+ * window ではなく self に公開する。
+ */
+(() => {
+  "use strict";
+
+  const DEFAULT_SETTINGS = {
+    // 既定の保存形式（"png" | "jpeg" | "webp" | "pdf" | "markdown" | "html"）
+    format: "png",
+    // 保存ダイアログを表示するか（分割したファイルは常にダイアログなし）
+    saveAs: true,
+    // ダウンロードフォルダ内の保存先（"" ならダウンロードフォルダ直下）
+    subfolder: "",
+    // ファイル名のテンプレート（既定値は lib/filename.js が持つ）
+    filenameTemplate: self.__Filename.DEFAULT_TEMPLATE,
+    // 各フレームの撮影前に追加で待つ時間（ms）。撮影の間隔は background.js が
+    // captureVisibleTab の回数制限に合わせて調整するため、通常は 0 でよい
+    frameDelay: 0,
+    // 記事の周囲に含める余白（CSS px）
+    padding: 8,
+    // サイドバー・広告などのノイズ要素を除去するか
+    removeNoise: true,
+    // 撮影中はアニメーション・動画・カルーセルを止めるか
+    freezePage: true,
+    // キャプチャ結果を履歴（IndexedDB）に残すか
+    historyEnabled: true,
+    // 履歴の合計サイズの上限（MB）。超えた分は古いものから削除する
+    historyLimitMB: 500,
+  };
+
+  const FORMATS = ["png", "jpeg", "webp", "pdf", "markdown", "html"];
+
+  const MAX_TEMPLATE_LENGTH = 200;
+
+  // 設定できる範囲
+  const LIMITS = {
+    frameDelay: { min: 0, max: 5000 },
+    padding: { min: 0, max: 200 },
+    historyLimitMB: { min: 50, max: 10000 },
+  };
+
+  function clampNumber(value, { min, max }, fallback) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return fallback;
+    return Math.min(max, Math.max(min, Math.round(number)));
+  }
+
+  /**
+   * サブフォルダ名を chrome.downloads で使える相対パスにする
+   * （区切りは "/"、".." や使えない文字は除く）
+   */
+  function normalizeSubfolder(value) {
+    return String(value || "")
+      .split(/[\\/]+/)
+      .map((part) => part.replace(/[<>:"|?*\u0000-\u001f]/g, "_").trim())
+      .filter((part) => part && part !== "." && part !== "..")
+      .map((part) => part.replace(/[. ]+$/, ""))
+      .filter(Boolean)
+      .join("/");
+  }
+
+  /**
+   * 保存されている値を検証し、不正な値は既定値に戻す
+   */
+  function normalizeSettings(raw = {}) {
+    return {
+      format: FORMATS.includes(raw.format) ? raw.format : DEFAULT_SETTINGS.format,
+      saveAs: typeof raw.saveAs === "boolean" ? raw.saveAs : DEFAULT_SETTINGS.saveAs,
+      subfolder: normalizeSubfolder(raw.subfolder),
+      filenameTemplate:
+        typeof raw.filenameTemplate === "string" && raw.filenameTemplate.trim()
+          ? raw.filenameTemplate.trim().slice(0, MAX_TEMPLATE_LENGTH)
+          : DEFAULT_SETTINGS.filenameTemplate,
+      frameDelay: clampNumber(raw.frameDelay, LIMITS.frameDelay, DEFAULT_SETTINGS.frameDelay),
+      padding: clampNumber(raw.padding, LIMITS.padding, DEFAULT_SETTINGS.padding),
+      removeNoise:
+        typeof raw.removeNoise === "boolean" ? raw.removeNoise : DEFAULT_SETTINGS.removeNoise,
+      freezePage:
+        typeof raw.freezePage === "boolean" ? raw.freezePage : DEFAULT_SETTINGS.freezePage,
+      historyEnabled:
+        typeof raw.historyEnabled === "boolean"
+          ? raw.historyEnabled
+          : DEFAULT_SETTINGS.historyEnabled,
+      historyLimitMB: clampNumber(
+        raw.historyLimitMB,
+        LIMITS.historyLimitMB,
+        DEFAULT_SETTINGS.historyLimitMB
+      ),
+    };
+  }
+
+  /**
+   * 設定を読み込む（未保存の項目は既定値）
+   */
+  async function getSettings() {
+    const stored = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+    return normalizeSettings(stored);
+  }
+
+  /**
+   * 設定を保存（渡した項目だけを更新する）
+   *   戻り値: 保存後の設定
+   */
+  async function saveSettings(changes) {
+    const settings = normalizeSettings({ ...(await getSettings()), ...changes });
+    await chrome.storage.sync.set(settings);
+    return settings;
+  }
+
+  /**
+   * 既定値に戻す
+   */
+  async function resetSettings() {
+    await chrome.storage.sync.remove(Object.keys(DEFAULT_SETTINGS));
+    return { ...DEFAULT_SETTINGS };
+  }
+
+  // グローバルに公開
+  self.__Settings = {
+    DEFAULT_SETTINGS,
+    LIMITS,
+    getSettings,
+    saveSettings,
+    resetSettings,
+  };
+})();
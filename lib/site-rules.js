@@ -0,0 +1,148 @@
+/**
+ * Site Rules - サイトごとの記事・ノイズのセレクタ
+ *
+ * 毎回同じ結果を得たいサイト向けに、ヒューリスティックより優先する
+ * セレクタをドメインごとに保存する。
+ *   { domain, article, hide: [], keep: [] }
+ *     domain:  対象のドメイン（サブドメインにも適用。最も長く一致するルールを使う）
+ *     article: 記事要素のセレクタ（見つからなければ自動検出）
+ *     hide:    追加で非表示にする要素のセレクタ
+ *     keep:    ノイズと判定されても残す要素のセレクタ
+ *
+ * 件数が増えても収まるよう chrome.storage.local に保存し、
+ * 端末間・チーム内では JSON のエクスポート / インポートで共有する。
+ * キャプチャ時のルールの適用とピッカーからの保存は background.js、編集はオプションページで行う。
+ */
+(() => {
+  "use strict";
+
+  const STORAGE_KEY = "siteRules";
+  const EXPORT_VERSION = 1;
+
+  /**
+   * ドメインの表記を揃える（URL を貼り付けた場合はホスト名を取り出す）
+   */
+  function normalizeDomain(value) {
+    let domain = String(value || "").trim().toLowerCase();
+    if (/^[a-z]+:\/\//.test(domain)) {
+      try {
+        domain = new URL(domain).hostname;
+      } catch {
+        return "";
+      }
+    }
+    return domain.replace(/^\*\./, "").replace(/^www\./, "").replace(/[/:].*$/, "");
+  }
+
+  function normalizeSelectors(value) {
+    const list = Array.isArray(value) ? value : String(value || "").split("\n");
+    return list.map((s) => String(s).trim()).filter(Boolean);
+  }
+
+  /**
+   * ルールを検証して表記を揃える（ドメインがなければ null）
+   */
+  function normalizeRule(raw) {
+    if (!raw || typeof raw !== "object") return null;
+    const domain = normalizeDomain(raw.domain);
+    if (!domain) return null;
+    return {
+      domain,
+      article: String(raw.article || "").trim(),
+      hide: normalizeSelectors(raw.hide),
+      keep: normalizeSelectors(raw.keep),
+    };
+  }
+
+  async function getRules() {
+    const { [STORAGE_KEY]: rules = [] } = await chrome.storage.local.get(STORAGE_KEY);
+    return rules.map(normalizeRule).filter(Boolean);
+  }
+
+  async function saveRules(rules) {
+    const byDomain = new Map();
+    for (const rule of rules.map(normalizeRule).filter(Boolean)) {
+      byDomain.set(rule.domain, rule);
+    }
+    const sorted = Array.from(byDomain.values()).sort((a, b) => a.domain.localeCompare(b.domain));
+    await chrome.storage.local.set({ [STORAGE_KEY]: sorted });
+    return sorted;
+  }
+
+  /**
+   * URL（またはホスト名）に適用するルールを探す
+   */
+  function findRule(rules, url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch {
+      hostname = String(url || "").toLowerCase();
+    }
+
+    let best = null;
+    for (const rule of rules) {
+      const matches = hostname === rule.domain || hostname.endsWith("." + rule.domain);
+      if (matches && (!best || rule.domain.length > best.domain.length)) {
+        best = rule;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * ドメインのルールを追加・更新（changes にない項目は既存の値を残す）
+   */
+  async function updateRule(domain, changes) {
+    const rules = await getRules();
+    const key = normalizeDomain(domain);
+    const existing = rules.find((r) => r.domain === key) || { domain: key, hide: [], keep: [] };
+    const others = rules.filter((r) => r.domain !== key);
+    return saveRules([...others, { ...existing, ...changes, domain: key }]);
+  }
+
+  async function removeRule(domain) {
+    const key = normalizeDomain(domain);
+    return saveRules((await getRules()).filter((r) => r.domain !== key));
+  }
+
+  /**
+   * ルールを JSON 文字列にする
+   */
+  async function exportRules() {
+    return JSON.stringify({ version: EXPORT_VERSION, rules: await getRules() }, null, 2);
+  }
+
+  /**
+   * JSON 文字列からルールを読み込み、同じドメインのルールは置き換える
+   *   戻り値: { imported: 読み込んだ件数, rules: 保存後のルール }
+   */
+  async function importRules(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (err) {
+      throw new Error("JSON の形式が正しくありません: " + err.message);
+    }
+    const list = Array.isArray(data) ? data : data?.rules;
+    if (!Array.isArray(list)) {
+      throw new Error("ルールの一覧が見つかりません");
+    }
+
+    const imported = list.map(normalizeRule).filter(Boolean);
+    const rules = await saveRules([...(await getRules()), ...imported]);
+    return { imported: imported.length, rules };
+  }
+
+  // グローバルに公開
+  self.__SiteRules = {
+    exportRules,
+    findRule,
+    getRules,
+    importRules,
+    normalizeDomain,
+    removeRule,
+    saveRules,
+    updateRule,
+  };
+})();
@@ -0,0 +1,95 @@
+/**
+ * Zip - 無圧縮（STORE）ZIP アーカイブの作成
+ *
+ * PNG / PDF は既に圧縮済みなので、再圧縮せずにまとめるだけで十分。
+ * ファイル名は UTF-8 で格納する（日本語名に対応）。
+ * lib/crc32.js を先に読み込んでおくこと。
+ */
+(() => {
+  "use strict";
+
+  /**
+   * Date → MS-DOS 形式の日付・時刻
+   */
+  function toDosDateTime(date) {
+    return {
+      time:
+        (date.getHours() << 11) |
+        (date.getMinutes() << 5) |
+        Math.floor(date.getSeconds() / 2),
+      date:
+        ((date.getFullYear() - 1980) << 9) |
+        ((date.getMonth() + 1) << 5) |
+        date.getDate(),
+    };
+  }
+
+  /**
+   * ZIP ファイルを作成
+   *   files: [{ name, blob }]
+   *   戻り値: Blob（application/zip）
+   */
+  async function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, date: dosDate } = toDosDateTime(date);
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const data = new Uint8Array(await file.blob.arrayBuffer());
+      const crc = window.__Crc32.crc32(data);
+
+      // ローカルファイルヘッダー
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true); // 展開に必要なバージョン
+      local.setUint16(6, 0x0800, true); // UTF-8 ファイル名
+      local.setUint16(8, 0, true); // STORE
+      local.setUint16(10, time, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      chunks.push(local, name, data);
+
+      // セントラルディレクトリ
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, time, true);
+      entry.setUint16(14, dosDate, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(entry, name);
+
+      offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+
+    // セントラルディレクトリの終端
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...chunks, ...central, end], { type: "application/zip" });
+  }
+
+  // グローバルに公開
+  window.__Zip = {
+    createZip,
+  };
+})();
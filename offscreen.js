@@ -1,9 +1,80 @@
 /**
- * Offscreen Document - PDF生成
+ * Offscreen Document - 画像の結合・エンコード・PDF生成
  *
- * content.js から受け取った画像データをPDFに変換する。
+ * background.js から撮影したフレームを1枚ずつ受け取り（stitch-add）、
+ * 最後に結合して PNG / JPEG / WebP / PDF を生成する（stitch-finish）。
+ * キャプチャ対象のページには一切手を加えない。
+ *
+ * メッセージ（target: "offscreen" のものだけを処理する）:
+ *   stitch-begin  { dpr }                    新しい結合を開始
+ *   stitch-add    { capture }                フレームを追加
+ *   stitch-finish { width, height, format, options }
+ *                 → { files: [{ url, ext }] }（Blob URL）
+ *   stitch-abort  {}                         結合を破棄（中止・失敗したキャプチャのフレームを手放す）
+ *   read-file     { url }                    → { dataUrl }（生成したファイルを data URL で返す）
+ *   export-text   { format, content, images } → { files: [{ url, ext }] }
+ *                 記事の Markdown / HTML を保存用のファイルにする（HTML の画像は埋め込む）
+ *   history-add   { entry, groups, withImage, limitBytes } → { id }
+ *                 生成したファイルを履歴（lib/history-store.js）に保存する
+ *   history-reexport { id, format } → { files, entry }
+ *                 履歴の画像から別の形式のファイルを生成する
+ *   batch-begin   {}                         一括キャプチャの ZIP を作り始める
+ *   batch-add     { files: [{ url, name }] } 生成したファイルを ZIP に加える（name は ZIP 内のパス）
+ *   batch-finish  {}                         → { files: [{ url, ext: "zip" }] }
+ *
+ * options.metadata（ページのタイトル・URL・著者・公開日・撮影日時）は
+ * PDF の文書プロパティ、PNG のテキストチャンクとして埋め込む。
  */
 
+// Canvas サイズ制限（Chrome: ~16384px, 面積 ~268M px）
+const MAX_DIM = 16384;
+const MAX_AREA = 268435456;
+
+// WebP は1辺 16383px まで
+const WEBP_MAX_DIM = 16383;
+
+// 画像形式ごとの MIME タイプと拡張子
+const IMAGE_TYPES = {
+  png: { mime: "image/png", ext: "png" },
+  jpeg: { mime: "image/jpeg", ext: "jpg" },
+  webp: { mime: "image/webp", ext: "webp" },
+};
+
+function maxDimFor(format) {
+  return format === "webp" ? WEBP_MAX_DIM : MAX_DIM;
+}
+
+function exceedsCanvasLimit(width, height, format) {
+  const maxDim = maxDimFor(format);
+  return width > maxDim || height > maxDim || width * height > MAX_AREA;
+}
+
+/**
+ * width × height の画像を Canvas の上限に収めるための縮尺（収まる場合は 1）
+ */
+function fitCanvasScale(width, height, format) {
+  if (!exceedsCanvasLimit(width, height, format)) return 1;
+  const maxDim = maxDimFor(format);
+  return Math.min(maxDim / width, maxDim / height, Math.sqrt(MAX_AREA / (width * height)));
+}
+
+// 結合中のセッション { dpr, captures: [{ dataUrl, sx, sy, sw, sh, dx, dy }] }
+let session = null;
+
+// 直前の結合結果の Blob URL → Blob（次の結合開始時に解放する）
+let published = new Map();
+
+// 直前の結合結果の履歴用データ { thumbnail, source }（options.history のときだけ作る）
+let lastStitch = null;
+
+// 一括キャプチャで ZIP にまとめるファイル [{ name, blob }]（batch-begin 〜 batch-finish）
+// Blob URL は次の結合の開始時に解放されるため、Blob そのものを保持しておく
+let batchFiles = null;
+
+// 履歴のサムネイルの大きさ（px）。長い記事は先頭だけを使う
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_MAX_HEIGHT = 400;
+
 /**
  * data URL から Image オブジェクトを作成
  */
@@ -17,76 +88,900 @@ function loadImage(dataUrl) {
 }
 
 /**
- * 画像データをPDFに変換
+ * 白で塗りつぶした Canvas を作成
  */
-async function convertToPdf(data) {
-  const { imageDataUrl, width, height, devicePixelRatio } = data;
-
-  // Canvasに画像を描画
-  const canvas = document.getElementById("canvas");
-  const img = await loadImage(imageDataUrl);
-  canvas.width = img.width;
-  canvas.height = img.height;
+function createCanvas(width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
   const ctx = canvas.getContext("2d");
-  ctx.drawImage(img, 0, 0);
+  if (!ctx) {
+    throw new Error("Canvas の作成に失敗しました（メモリ不足の可能性）");
+  }
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, width, height);
+  return { canvas, ctx };
+}
+
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("画像の生成に失敗しました"))),
+      type,
+      quality
+    );
+  });
+}
+
+/**
+ * 結合後の画像のうち [offsetY, offsetY + height) の範囲を ctx に描画
+ *   scale: 元のDPRピクセル → 出力ピクセルの比率
+ * フレームは範囲に掛かるものだけを1枚ずつデコードする（メモリ節約）。
+ */
+async function drawCaptures(ctx, scale, offsetY, height) {
+  for (const cap of session.captures) {
+    const top = Math.round(cap.dy * scale);
+    const capHeight = Math.ceil(cap.sh * scale);
+    if (top >= offsetY + height || top + capHeight <= offsetY) continue;
+
+    const img = await loadImage(cap.dataUrl);
+    // ソース座標（DPRピクセル） → 出力座標
+    ctx.drawImage(
+      img,
+      cap.sx, cap.sy, cap.sw, cap.sh, // ソース切り出し
+      Math.round(cap.dx * scale),
+      top - offsetY,
+      Math.ceil(cap.sw * scale),
+      capHeight
+    );
+  }
+}
+
+/**
+ * ブロック境界（CSS px）を出力ピクセルに変換
+ */
+function scaleBlocks(blocks, factor) {
+  return blocks.map((b) => ({ top: b.top * factor, bottom: b.bottom * factor, type: b.type }));
+}
+
+/**
+ * Blob を background.js からダウンロードできる URL にする
+ */
+function publish(blob, ext) {
+  const url = URL.createObjectURL(blob);
+  published.set(url, blob);
+  return { url, ext };
+}
+
+/**
+ * 履歴に表示するサムネイル（記事の先頭部分の JPEG）
+ */
+function makeThumbnail(canvas) {
+  const scale = Math.min(1, THUMBNAIL_WIDTH / canvas.width);
+  const width = Math.max(1, Math.round(canvas.width * scale));
+  const height = Math.max(1, Math.min(THUMBNAIL_MAX_HEIGHT, Math.round(canvas.height * scale)));
+  const { canvas: thumb, ctx } = createCanvas(width, height);
+  ctx.drawImage(canvas, 0, 0, canvas.width, height / scale, 0, 0, width, height);
+  return canvasToBlob(thumb, "image/jpeg", 0.8);
+}
+
+/**
+ * 日時を「YYYY-MM-DD HH:MM」（ローカル時刻）で表記
+ */
+function formatDateTime(iso) {
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return iso;
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}`
+  );
+}
+
+/**
+ * Canvas を PNG にエンコードし、メタデータをテキストチャンクとして書き込む
+ */
+async function encodePng(canvas, metadata) {
+  const blob = await canvasToBlob(canvas, "image/png");
+  if (!metadata) return blob;
+
+  return window.__PngMetadata.addTextChunks(blob, {
+    Title: metadata.title,
+    Author: metadata.author,
+    URL: metadata.url,
+    "Page URL": metadata.pageUrl !== metadata.url ? metadata.pageUrl : "",
+    "Creation Time": metadata.capturedAt,
+    "Publication Date": metadata.published,
+    Software: chrome.runtime.getManifest().name,
+  });
+}
+
+/**
+ * Canvas を画像形式 format でエンコード
+ *   quality: JPEG / WebP の品質（0〜1, 既定: 0.92）
+ * PNG にはメタデータを書き込む。
+ */
+async function encodeImage(canvas, format, options) {
+  if (format === "png") {
+    return encodePng(canvas, options.metadata);
+  }
+  const { mime } = IMAGE_TYPES[format];
+  const blob = await canvasToBlob(canvas, mime, Number(options.quality) || 0.92);
+  // 対応していない形式は PNG で返ってくる
+  if (blob.type !== mime) {
+    throw new Error(`${format.toUpperCase()} へのエンコードに失敗しました`);
+  }
+  return blob;
+}
+
+/**
+ * 元の解像度のまま、Canvas の上限に収まる高さごとに分割して画像を生成
+ * （幅だけが上限を超える場合は幅を上限に合わせて縮小）
+ */
+async function exportSplit(width, height, format, options) {
+  const { oversize, blocks } = options;
+  const { dpr } = session;
+  const { ext } = IMAGE_TYPES[format];
+  const maxDim = maxDimFor(format);
+
+  const scale = Math.min(1, maxDim / width);
+  const partW = Math.ceil(width * scale);
+  const totalH = Math.ceil(height * scale);
+  const maxPartH = Math.min(maxDim, Math.floor(MAX_AREA / partW));
+
+  // 画像ファイルの分割は段落単位（行ボックスは使わない）
+  const scaledBlocks = blocks
+    ? scaleBlocks(blocks.filter((b) => b.type !== "line"), dpr * scale)
+    : null;
+  const ranges = window.__PageBreaks.splitRanges(totalH, maxPartH, scaledBlocks);
+
+  const parts = [];
+  for (const { start, end } of ranges) {
+    const { canvas, ctx } = createCanvas(partW, end - start);
+    await drawCaptures(ctx, scale, start, end - start);
+    parts.push(await encodeImage(canvas, format, options));
+    // 分割した画像は1枚に戻せないため、別形式での書き出しはできない
+    if (options.history && !lastStitch) {
+      lastStitch = { thumbnail: await makeThumbnail(canvas), source: null };
+    }
+  }
+
+  if (oversize === "zip") {
+    const zip = await window.__Zip.createZip(
+      parts.map((blob, i) => ({
+        name: `part-${String(i + 1).padStart(2, "0")}.${ext}`,
+        blob,
+      }))
+    );
+    return [publish(zip, "zip")];
+  }
+
+  return parts.map((blob) => publish(blob, ext));
+}
+
+// 用紙サイズ（mm, 縦向き）
+const PAGE_SIZES = {
+  a4: [210, 297],
+  a3: [297, 420],
+  letter: [215.9, 279.4],
+  legal: [215.9, 355.6],
+};
+
+// PDF の1ページの最大長（200インチ）
+const MAX_PDF_PAGE_MM = 5080;
+// カスタムの用紙サイズの最小値（popup.html の入力欄の min と同じ）
+const MIN_PDF_PAGE_MM = 10;
+
+/**
+ * PDF 設定から用紙サイズ [幅, 高さ]（mm）を求める
+ * カスタムの用紙サイズは PDF で扱える範囲（MIN_PDF_PAGE_MM〜MAX_PDF_PAGE_MM）に収める。
+ */
+function resolvePageSize(pdfOptions) {
+  const { pageSize = "a4", customWidth, customHeight, orientation = "portrait" } = pdfOptions;
+
+  const clampPageMm = (value) => Math.min(MAX_PDF_PAGE_MM, Math.max(MIN_PDF_PAGE_MM, value));
+  let [width, height] =
+    pageSize === "custom"
+      ? [
+          clampPageMm(Number(customWidth) || PAGE_SIZES.a4[0]),
+          clampPageMm(Number(customHeight) || PAGE_SIZES.a4[1]),
+        ]
+      : PAGE_SIZES[pageSize] || PAGE_SIZES.a4;
+
+  const landscape = orientation === "landscape";
+  if (landscape !== width > height) {
+    [width, height] = [height, width];
+  }
+  return [width, height];
+}
+
+/**
+ * Canvas を PDF に埋め込む画像データに変換
+ *   imageFormat: "jpeg"（quality 指定） | "png"（ロスレス）
+ */
+function encodeForPdf(canvas, pdfOptions) {
+  if (pdfOptions.imageFormat === "png") {
+    return { data: canvas.toDataURL("image/png"), type: "PNG" };
+  }
+  const quality = Number(pdfOptions.jpegQuality) || 0.92;
+  return { data: canvas.toDataURL("image/jpeg", quality), type: "JPEG" };
+}
+
+// PDF の不可視テキストレイヤーとヘッダー・フッターに使うフォント（日本語などを含む TrueType）
+// Noto Sans JP を JIS X 0208 の文字に絞ったものを同梱している（fonts/README.md 参照）
+// 読み込めない場合は標準フォントで Latin-1 の文字だけを書ける
+const TEXT_LAYER_FONT_URL = "fonts/text-layer.ttf";
+const TEXT_LAYER_FONT_NAME = "TextLayer";
+
+// 読み込み結果のキャッシュ（undefined: 未読込, null: フォントなし, string: Base64）
+let textLayerFontCache;
+
+const PT_PER_MM = 72 / 25.4;
+
+// 標準フォント（helvetica）で書ける文字だけか
+const LATIN1_TEXT = /^[\x20-\xff]*$/;
+
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * テキストレイヤー用のフォントを読み込む（なければ null）
+ */
+async function loadTextLayerFont() {
+  if (textLayerFontCache !== undefined) {
+    return textLayerFontCache;
+  }
+  try {
+    const response = await fetch(TEXT_LAYER_FONT_URL);
+    if (!response.ok) throw new Error(response.statusText);
+    textLayerFontCache = arrayBufferToBase64(await response.arrayBuffer());
+  } catch {
+    textLayerFontCache = null;
+  }
+  return textLayerFontCache;
+}
+
+/**
+ * PDF に書くテキストに標準フォントで書けない文字（日本語など）が含まれるか
+ */
+function needsUnicodeFont(textRuns, metadata, headerFooter) {
+  if (textRuns && textRuns.some((run) => !LATIN1_TEXT.test(run.text))) return true;
+  return !!(headerFooter && metadata && !LATIN1_TEXT.test(metadata.title || ""));
+}
 
-  const { jspdf } = window.jspdf;
+/**
+ * Canvas のピクセル座標の矩形を、ページ上の位置（mm）に変換
+ *   range:     そのページに載せた Canvas の範囲 { start, end }
+ *   placement: 画像を置いた位置と縮尺 { left, top, mmPerPx }
+ * 矩形の上端がそのページの範囲外なら null
+ */
+function placeOnPage(rect, range, placement) {
+  if (rect.y < range.start || rect.y >= range.end) return null;
+  const { left, top, mmPerPx } = placement;
+  return {
+    x: left + rect.x * mmPerPx,
+    y: top + (rect.y - range.start) * mmPerPx,
+    width: rect.width * mmPerPx,
+    height: rect.height * mmPerPx,
+  };
+}
+
+/**
+ * 画像の上に検索・コピー用の不可視テキストを重ねる
+ *   unicodeFont: 日本語などを書けるフォントを設定済みか
+ */
+function addTextLayer(pdf, runs, range, placement, unicodeFont) {
+  for (const run of runs) {
+    const box = placeOnPage(run, range, placement);
+    if (!box) continue;
+    // 標準フォントは Latin-1 以外の文字を書けない
+    if (!unicodeFont && !LATIN1_TEXT.test(run.text)) continue;
+
+    // 行の高さからおおよその文字サイズを決め、幅は水平スケールで画像に合わせる
+    pdf.setFontSize(box.height * PT_PER_MM * 0.8);
+    const textWidth = pdf.getTextWidth(run.text);
+    pdf.text(run.text, box.x, box.y, {
+      baseline: "top",
+      renderingMode: "invisible",
+      horizontalScale: textWidth > 0 ? box.width / textWidth : 1,
+    });
+  }
+}
+
+/**
+ * リンクの位置にクリック可能なリンク注釈を追加
+ * ページの下端をまたぐリンクは、そのページに収まる部分だけにする。
+ */
+function addLinks(pdf, links, range, placement) {
+  for (const link of links) {
+    const box = placeOnPage(link, range, placement);
+    if (!box) continue;
+    const visibleHeight = Math.min(box.height, (range.end - link.y) * placement.mmPerPx);
+    pdf.link(box.x, box.y, box.width, visibleHeight, { url: link.url });
+  }
+}
+
+/**
+ * テキストレイヤー用のフォントを PDF に登録
+ * 戻り値: 日本語などを書けるフォントを設定できたか
+ */
+function setupTextLayerFont(pdf, fontData) {
+  if (!fontData) {
+    pdf.setFont("helvetica", "normal");
+    return false;
+  }
+  pdf.addFileToVFS("text-layer.ttf", fontData);
+  pdf.addFont("text-layer.ttf", TEXT_LAYER_FONT_NAME, "normal");
+  pdf.setFont(TEXT_LAYER_FONT_NAME, "normal");
+  return true;
+}
 
-  // 実際の表示サイズ
-  const dpr = devicePixelRatio || window.devicePixelRatio || 1;
-  const displayWidth = img.width / dpr;
-  const displayHeight = img.height / dpr;
+/**
+ * CSS px の矩形（{ x, y, width, height }）を Canvas のピクセルに変換
+ */
+function scaleRects(rects, factor) {
+  return rects.map((r) => ({
+    ...r,
+    x: r.x * factor,
+    y: r.y * factor,
+    width: r.width * factor,
+    height: r.height * factor,
+  }));
+}
 
-  // A4サイズ
-  const a4Width = 210; // mm
-  const a4Height = 297; // mm
-  const margin = 10; // mm
-  const contentWidth = a4Width - margin * 2;
+/**
+ * メタデータを PDF の文書プロパティに書き込む
+ */
+function setPdfProperties(pdf, metadata) {
+  const keywords = [
+    metadata.capturedAt && `captured: ${metadata.capturedAt}`,
+    metadata.published && `published: ${metadata.published}`,
+    metadata.pageUrl && metadata.pageUrl !== metadata.url && `page: ${metadata.pageUrl}`,
+  ].filter(Boolean);
 
-  // px → mm 変換（96dpi 基準: 1px ≈ 0.264583mm）
-  const pxToMm = 0.264583;
-  const scaledHeight = (displayHeight / displayWidth) * contentWidth;
+  pdf.setDocumentProperties({
+    title: metadata.title || "",
+    subject: metadata.url || "",
+    author: metadata.author || "",
+    keywords: keywords.join("; "),
+    creator: chrome.runtime.getManifest().name,
+  });
+  if (metadata.capturedAt) {
+    pdf.setCreationDate(new Date(metadata.capturedAt));
+  }
+}
+
+// ヘッダー・フッターの文字サイズ（pt）と、描くのに必要な余白（mm）
+const HEADER_FONT_SIZE = 8;
+const HEADER_MIN_MARGIN = 5;
+
+/**
+ * 余白にヘッダー（タイトル・撮影日時）とフッター（URL・ページ番号）を描く
+ *   area: { pageW, pageH, margin }（mm）
+ *   unicodeFont: 日本語などを書けるフォントを設定済みか
+ * 余白が狭すぎる場合は何もしない。
+ */
+function addHeaderFooter(pdf, metadata, page, pageCount, area, unicodeFont) {
+  const { pageW, pageH, margin } = area;
+  if (margin < HEADER_MIN_MARGIN) return;
+
+  // 標準フォントで書けないタイトルはサイト名で代用する
+  const writable = (text) => unicodeFont || LATIN1_TEXT.test(text);
+  const title = [metadata.title, metadata.siteName].find((t) => t && writable(t)) || "";
+  const url = writable(metadata.url || "") ? metadata.url : "";
+  const captured = metadata.capturedAt ? formatDateTime(metadata.capturedAt) : "";
+  const pageLabel = `${page + 1} / ${pageCount}`;
 
-  // ページあたりの有効高さ
-  const pageContentHeight = a4Height - margin * 2;
+  pdf.setFontSize(HEADER_FONT_SIZE);
+  pdf.setTextColor(120);
+  const headerY = margin / 2;
+  const footerY = pageH - margin / 2;
+  const right = pageW - margin;
+  const gap = 4;
 
-  // 必要なページ数
-  const totalPages = Math.ceil(scaledHeight / pageContentHeight);
+  // 右端の項目と重ならない幅で1行に切り詰める
+  const fit = (text, rightText) => {
+    const width = pageW - margin * 2 - (rightText ? pdf.getTextWidth(rightText) + gap : 0);
+    return width > 0 ? pdf.splitTextToSize(text, width)[0] || "" : "";
+  };
 
-  const pdf = new jspdf({
-    orientation: "portrait",
+  if (title) pdf.text(fit(title, captured), margin, headerY, { baseline: "middle" });
+  if (captured) pdf.text(captured, right, headerY, { baseline: "middle", align: "right" });
+  if (url) pdf.text(fit(url, pageLabel), margin, footerY, { baseline: "middle" });
+  pdf.text(pageLabel, right, footerY, { baseline: "middle", align: "right" });
+
+  pdf.setTextColor(0);
+}
+
+/**
+ * PDF に貼る画像の取り出し元
+ *   { width, height, draw(start, end) → Canvas }（draw は [start, end) の行だけを描いた Canvas を返す）
+ * 記事全体を1枚の Canvas にしなくても PDF を作れるよう、必要な範囲だけを描く。
+ */
+function canvasSource(canvas) {
+  return {
+    width: canvas.width,
+    height: canvas.height,
+    async draw(start, end) {
+      const { canvas: part, ctx } = createCanvas(canvas.width, end - start);
+      ctx.drawImage(canvas, 0, start, canvas.width, end - start, 0, 0, canvas.width, end - start);
+      return part;
+    },
+  };
+}
+
+/**
+ * 結合中のフレームを取り出し元にする
+ *   scale: 元のDPRピクセル → 出力ピクセルの比率
+ */
+function stitchSource(width, height, scale) {
+  const outW = Math.ceil(width * scale);
+  return {
+    width: outW,
+    height: Math.ceil(height * scale),
+    async draw(start, end) {
+      const { canvas, ctx } = createCanvas(outW, end - start);
+      await drawCaptures(ctx, scale, start, end - start);
+      return canvas;
+    },
+  };
+}
+
+/**
+ * 取り出し元の [range.start, range.end) の範囲を PDF の現在のページに貼る
+ * Canvas の上限を超えないよう、高さを区切って複数の画像として縦に並べる。
+ */
+async function addImageRange(pdf, source, range, placement, pdfOptions) {
+  const { left, top, mmPerPx } = placement;
+  const sliceH = Math.max(1, Math.min(MAX_DIM, Math.floor(MAX_AREA / source.width)));
+  for (let y = range.start; y < range.end; y += sliceH) {
+    const h = Math.min(sliceH, range.end - y);
+    const canvas = await source.draw(y, y + h);
+    const { data, type } = encodeForPdf(canvas, pdfOptions);
+    pdf.addImage(
+      data,
+      type,
+      left,
+      top + (y - range.start) * mmPerPx,
+      source.width * mmPerPx,
+      h * mmPerPx
+    );
+  }
+}
+
+function createPdf(width, height) {
+  const { jsPDF } = window.jspdf;
+  return new jsPDF({
+    orientation: width > height ? "landscape" : "portrait",
     unit: "mm",
-    format: "a4",
+    format: [width, height],
   });
+}
+
+/**
+ * 画像を PDF に変換
+ *   source: 画像の取り出し元（canvasSource / stitchSource）
+ *   pdfOptions.pageSize:    "a4" | "a3" | "letter" | "legal" | "custom"（既定: a4）
+ *   pdfOptions.customWidth / customHeight: custom 時の用紙サイズ（mm）
+ *   pdfOptions.orientation: "portrait" | "landscape"
+ *   pdfOptions.margin:      余白（mm, 既定: 10）
+ *   pdfOptions.imageFormat: "jpeg" | "png"、jpegQuality: 0〜1
+ *   pdfOptions.layout:      "paged"（用紙ごとに分割） | "single"（縦に長い1ページ）
+ *   pdfOptions.headerFooter: 余白にタイトル・撮影日時・URL・ページ番号を入れる
+ *   layout: Canvas のピクセル座標に変換済みのレイアウト情報
+ *     blocks:   ブロック境界。渡した場合は行・画像・表の行を途中で切らない
+ *               位置で改ページする（段落の境界は見ない）
+ *     textRuns: テキストの位置。渡した場合は不可視テキストレイヤーを重ねる
+ *     textFont: テキストレイヤー・ヘッダー用フォント（Base64 の TrueType, なければ null）
+ *     links:    リンクの位置。渡した場合はクリック可能なリンク注釈を付ける
+ *   metadata: 文書プロパティに書き込むページの情報（null なら書き込まない）
+ */
+async function convertToPdf(source, pdfOptions = {}, layout = {}, metadata = null) {
+  const { blocks = null, textRuns = null, textFont = null, links = null } = layout;
+  const outW = source.width;
+  const outH = source.height;
+  const margin = Math.max(0, Number(pdfOptions.margin ?? 10));
+  const [pageW, pageH] = resolvePageSize(pdfOptions);
+  const contentW = pageW - margin * 2;
+  const contentH = pageH - margin * 2;
+  if (contentW <= 0 || contentH <= 0) {
+    throw new Error("PDFの余白が用紙サイズに対して大きすぎます");
+  }
+  const scaledH = (outH / outW) * contentW;
+  const headerFooter = !!(pdfOptions.headerFooter && metadata);
+
+  if (pdfOptions.layout === "single") {
+    // 記事全体を1ページに収める。PDF のページ長の上限を超える場合は全体を縮小
+    const fullH = scaledH + margin * 2;
+    const k = Math.min(1, MAX_PDF_PAGE_MM / fullH);
+    const pdf = createPdf(pageW * k, fullH * k);
+    if (metadata) setPdfProperties(pdf, metadata);
+
+    const placement = { left: margin * k, top: margin * k, mmPerPx: (contentW * k) / outW };
+    const range = { start: 0, end: outH };
+    await addImageRange(pdf, source, range, placement, pdfOptions);
+    const unicodeFont = textRuns || headerFooter ? setupTextLayerFont(pdf, textFont) : false;
+    if (textRuns) {
+      addTextLayer(pdf, textRuns, range, placement, unicodeFont);
+    }
+    if (links) {
+      addLinks(pdf, links, range, placement);
+    }
+    if (headerFooter) {
+      const area = { pageW: pageW * k, pageH: fullH * k, margin: margin * k };
+      addHeaderFooter(pdf, metadata, 0, 1, area, unicodeFont);
+    }
+    return pdf.output("blob");
+  }
+
+  // 1ページに入る高さ（Canvas のピクセル）ごとに区切る
+  const pagePx = (contentH / scaledH) * outH;
+  const breakBlocks = blocks ? blocks.filter((b) => b.type !== "paragraph") : null;
+  const pages = window.__PageBreaks.splitRanges(outH, pagePx, breakBlocks);
+  const pdf = createPdf(pageW, pageH);
+  if (metadata) setPdfProperties(pdf, metadata);
+  const unicodeFont = textRuns || headerFooter ? setupTextLayerFont(pdf, textFont) : false;
+  const placement = { left: margin, top: margin, mmPerPx: contentW / outW };
+
+  for (const [page, { start, end }] of pages.entries()) {
+    if (page > 0) pdf.addPage([pageW, pageH], pageW > pageH ? "landscape" : "portrait");
+
+    await addImageRange(pdf, source, { start, end }, placement, pdfOptions);
+
+    if (textRuns) {
+      addTextLayer(pdf, textRuns, { start, end }, placement, unicodeFont);
+    }
+    if (links) {
+      addLinks(pdf, links, { start, end }, placement);
+    }
+    if (headerFooter) {
+      addHeaderFooter(pdf, metadata, page, pages.length, { pageW, pageH, margin }, unicodeFont);
+    }
+  }
+
+  return pdf.output("blob");
+}
 
-  const pngDataUrl = canvas.toDataURL("image/png");
+/**
+ * 結合したフレームから PDF を生成
+ * ページごと（1ページの場合は Canvas の上限に収まる高さごと）に描くため、
+ * 記事全体が Canvas の上限を超えても元の解像度のまま作れる（幅だけは上限に合わせて縮小）。
+ */
+async function exportPdf(width, height, options) {
+  const { dpr } = session;
+  const scale = Math.min(1, MAX_DIM / width);
+  const source = stitchSource(width, height, scale);
+
+  // CSS px → 出力のピクセル
+  const factor = dpr * scale;
+  const headerFooter = !!options.pdf?.headerFooter;
+  const textFont = options.textRuns || headerFooter ? await loadTextLayerFont() : null;
+  // 日本語などを黙って書き落とさないよう、フォントがなければエラーにする
+  if (!textFont && needsUnicodeFont(options.textRuns, options.metadata, headerFooter)) {
+    throw new Error(
+      `日本語を書き込むためのフォント（${TEXT_LAYER_FONT_URL}）を読み込めませんでした。` +
+        "拡張機能を入れ直すか、PDF設定の「検索・コピーできるテキスト」と" +
+        "ヘッダー・フッターをオフにしてください"
+    );
+  }
+  const layout = {
+    blocks: options.blocks ? scaleBlocks(options.blocks, factor) : null,
+    textRuns: options.textRuns ? scaleRects(options.textRuns, factor) : null,
+    textFont,
+    links: options.links ? scaleRects(options.links, factor) : null,
+  };
+  const pdf = await convertToPdf(source, options.pdf, layout, options.metadata || null);
 
-  for (let page = 0; page < totalPages; page++) {
-    if (page > 0) {
-      pdf.addPage();
+  if (options.history) {
+    // 別形式で書き出すための元画像（Canvas の上限に収まるよう縮小したもの）
+    const historyScale = scale * fitCanvasScale(source.width, source.height, "jpeg");
+    const { canvas, ctx } = createCanvas(
+      Math.ceil(width * historyScale),
+      Math.ceil(height * historyScale)
+    );
+    await drawCaptures(ctx, historyScale, 0, canvas.height);
+    lastStitch = {
+      thumbnail: await makeThumbnail(canvas),
+      source: await canvasToBlob(canvas, "image/jpeg", 0.92),
+    };
+  }
+  return [publish(pdf, "pdf")];
+}
+
+/**
+ * 1枚の Canvas に結合して画像 / PDF を生成
+ */
+async function exportSingle(width, height, format, options) {
+  if (format === "pdf") {
+    return exportPdf(width, height, options);
+  }
+
+  const { dpr } = session;
+  let outW = width;
+  let outH = height;
+
+  if (exceedsCanvasLimit(outW, outH, format)) {
+    // 大きすぎる場合はCSS解像度にフォールバック
+    outW = Math.ceil(width / dpr);
+    outH = Math.ceil(height / dpr);
+    if (exceedsCanvasLimit(outW, outH, format)) {
+      throw new Error(
+        `記事が大きすぎて1枚の画像にできません（${outW} × ${outH}px）。` +
+          "「長すぎる画像」で分割して保存するか、PDF で保存してください"
+      );
     }
+  }
+
+  const { canvas, ctx } = createCanvas(outW, outH);
+  // 出力Canvasと元のDPRサイズとの比率
+  await drawCaptures(ctx, outW / width, 0, outH);
+
+  const image = await encodeImage(canvas, format, options);
+  if (options.history) {
+    lastStitch = { thumbnail: await makeThumbnail(canvas), source: image };
+  }
+  return [publish(image, IMAGE_TYPES[format].ext)];
+}
 
-    const yOffset = -(page * pageContentHeight) + margin;
+/**
+ * 結合を完了してファイルを生成
+ *   width / height: 結合後の画像サイズ（DPRピクセル）
+ */
+async function finishStitch({ width, height, format, options = {} }) {
+  if (!session) {
+    throw new Error("結合が開始されていません");
+  }
 
-    pdf.saveGraphicsState();
-    pdf.rect(margin, margin, contentWidth, pageContentHeight, "clip");
-    pdf.addImage(pngDataUrl, "PNG", margin, yOffset, contentWidth, scaledHeight);
-    pdf.restoreGraphicsState();
+  if (format !== "pdf" && !IMAGE_TYPES[format]) {
+    throw new Error(`未対応の形式です: ${format}`);
   }
+  const tooLarge = exceedsCanvasLimit(width, height, format);
+  const oversize = options.oversize || "downscale";
+
+  try {
+    if (format !== "pdf" && tooLarge && oversize !== "downscale") {
+      return { files: await exportSplit(width, height, format, { ...options, oversize }) };
+    }
+    return { files: await exportSingle(width, height, format, options) };
+  } finally {
+    session = null;
+  }
+}
+
+// 記事のテキスト形式ごとの MIME タイプと拡張子
+const TEXT_TYPES = {
+  markdown: { mime: "text/markdown;charset=utf-8", ext: "md" },
+  html: { mime: "text/html;charset=utf-8", ext: "html" },
+};
 
-  return pdf.output("datauristring");
+function escapeAttribute(value) {
+  return value.replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+}
+
+/**
+ * 記事の Markdown / HTML をファイルにする
+ *   images: [{ placeholder, url }] HTML 内のプレースホルダーを data URL に置き換える
+ *           （取得できなかった画像は元の URL を参照する）
+ * 拡張機能のホスト権限で取得するため、ページからは読めない別オリジンの画像も埋め込める。
+ */
+async function exportText({ format, content, images = [] }) {
+  const type = TEXT_TYPES[format];
+  if (!type) {
+    throw new Error(`未対応の形式です: ${format}`);
+  }
+
+  let text = content;
+  for (const { placeholder, url } of images) {
+    let src = url;
+    try {
+      src = await readAsDataUrl(url);
+    } catch (err) {
+      console.warn("画像を埋め込めませんでした:", url, err);
+    }
+    text = text.split(placeholder).join(escapeAttribute(src));
+  }
+
+  return { files: [publish(new Blob([text], { type: type.mime }), type.ext)] };
+}
+
+/**
+ * URL（生成したファイルの Blob URL や記事の画像）を data URL として読み込む
+ * （クリップボードへの書き込みをページ側で行う場合や、HTML への画像の埋め込みに使う）
+ */
+async function readAsDataUrl(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}`);
+  }
+  const blob = await response.blob();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * 生成したファイルを履歴に保存
+ *   groups:    まとめて保存する単位ごとのファイル [[{ url, ext }]]（publish した Blob URL）
+ *   withImage: 直前の結合結果のサムネイル・元画像を使うか（テキストのみの場合は false）
+ */
+async function addToHistory({ entry, groups, withImage, limitBytes }) {
+  const blobGroups = groups.map((files) =>
+    files.map(({ url, ext }) => {
+      const blob = published.get(url);
+      if (!blob) {
+        throw new Error("保存するファイルが見つかりません");
+      }
+      return { blob, ext };
+    })
+  );
+  const stitched = withImage ? lastStitch : null;
+
+  const id = await window.__HistoryStore.addEntry(
+    { ...entry, thumbnail: stitched?.thumbnail || null },
+    { groups: blobGroups, source: stitched?.source || null },
+    limitBytes
+  );
+  return { id };
+}
+
+/**
+ * 履歴の元画像から別の形式のファイルを生成
+ * 元画像が出力形式の Canvas の上限を超える場合は縮小する。
+ */
+async function reexportFromHistory({ id, format }) {
+  if (format !== "pdf" && !IMAGE_TYPES[format]) {
+    throw new Error(`未対応の形式です: ${format}`);
+  }
+  const store = window.__HistoryStore;
+  const entry = await store.getEntry(id);
+  const { source } = await store.getFiles(id);
+  if (!entry || !source) {
+    throw new Error("この履歴は別の形式で保存できません");
+  }
+
+  const bitmap = await createImageBitmap(source);
+  const scale = fitCanvasScale(bitmap.width, bitmap.height, format);
+  const width = Math.floor(bitmap.width * scale);
+  const height = Math.floor(bitmap.height * scale);
+  const { canvas, ctx } = createCanvas(width, height);
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  const metadata = entry.metadata || null;
+  const { title, url, capturedAt } = entry;
+  if (format === "pdf") {
+    const pdf = await convertToPdf(canvasSource(canvas), {}, {}, metadata);
+    return { files: [publish(pdf, "pdf")], entry: { title, url, capturedAt } };
+  }
+  const image = await encodeImage(canvas, format, { metadata });
+  return {
+    files: [publish(image, IMAGE_TYPES[format].ext)],
+    entry: { title, url, capturedAt },
+  };
+}
+
+/**
+ * 一括キャプチャのファイルを ZIP に加える
+ *   files: [{ url, name }]（publish した Blob URL と ZIP 内のパス）
+ */
+function addToBatch({ files }) {
+  if (!batchFiles) {
+    throw new Error("一括キャプチャが開始されていません");
+  }
+  for (const { url, name } of files) {
+    const blob = published.get(url);
+    if (!blob) {
+      throw new Error("保存するファイルが見つかりません");
+    }
+    batchFiles.push({ name, blob });
+  }
+  return { ok: true };
+}
+
+/**
+ * 一括キャプチャの ZIP を作成
+ */
+async function finishBatch() {
+  if (!batchFiles) {
+    throw new Error("一括キャプチャが開始されていません");
+  }
+  const zip = await window.__Zip.createZip(batchFiles);
+  batchFiles = null;
+  return { files: [publish(zip, "zip")] };
 }
 
 // background.js からのメッセージを処理
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === "convert-to-pdf") {
-    convertToPdf(message)
-      .then((dataUrl) => {
-        sendResponse({ dataUrl });
-      })
-      .catch((err) => {
-        sendResponse({ error: err.message });
-      });
+  if (message.target !== "offscreen") return;
+
+  if (message.type === "stitch-begin") {
+    for (const url of published.keys()) URL.revokeObjectURL(url);
+    published = new Map();
+    lastStitch = null;
+    session = { dpr: message.dpr, captures: [] };
+    sendResponse({ ok: true });
+    return true;
+  }
+
+  if (message.type === "stitch-add") {
+    if (!session) {
+      sendResponse({ error: "結合が開始されていません" });
+    } else {
+      session.captures.push(message.capture);
+      sendResponse({ ok: true });
+    }
+    return true;
+  }
+
+  if (message.type === "stitch-abort") {
+    session = null;
+    sendResponse({ ok: true });
+    return true;
+  }
+
+  if (message.type === "read-file") {
+    readAsDataUrl(message.url)
+      .then((dataUrl) => sendResponse({ dataUrl }))
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === "export-text") {
+    exportText(message)
+      .then(sendResponse)
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === "stitch-finish") {
+    finishStitch(message)
+      .then(sendResponse)
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === "history-add") {
+    addToHistory(message)
+      .then(sendResponse)
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === "history-reexport") {
+    reexportFromHistory(message)
+      .then(sendResponse)
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === "batch-begin") {
+    batchFiles = [];
+    sendResponse({ ok: true });
+    return true;
+  }
+
+  if (message.type === "batch-add") {
+    try {
+      sendResponse(addToBatch(message));
+    } catch (err) {
+      sendResponse({ error: err.message });
+    }
+    return true;
+  }
+
+  if (message.type === "batch-finish") {
+    finishBatch()
+      .then(sendResponse)
+      .catch((err) => sendResponse({ error: err.message }));
     return true;
   }
 });
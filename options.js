@@ -0,0 +1,220 @@
+document.addEventListener("DOMContentLoaded", async () => {
+  const { LIMITS, getSettings, saveSettings, resetSettings } = window.__Settings;
+
+  const fields = {
+    format: document.getElementById("format"),
+    saveAs: document.getElementById("saveAs"),
+    subfolder: document.getElementById("subfolder"),
+    filenameTemplate: document.getElementById("filenameTemplate"),
+    frameDelay: document.getElementById("frameDelay"),
+    padding: document.getElementById("padding"),
+    removeNoise: document.getElementById("removeNoise"),
+    freezePage: document.getElementById("freezePage"),
+    historyEnabled: document.getElementById("historyEnabled"),
+    historyLimitMB: document.getElementById("historyLimitMB"),
+  };
+  const saveBtn = document.getElementById("saveBtn");
+  const resetBtn = document.getElementById("resetBtn");
+  const statusEl = document.getElementById("status");
+  const filenamePreview = document.getElementById("filenamePreview");
+
+  // 数値の入力範囲は lib/settings.js の制限に合わせる
+  for (const [key, { min, max }] of Object.entries(LIMITS)) {
+    fields[key].min = min;
+    fields[key].max = max;
+  }
+
+  function setStatus(text, type = "") {
+    statusEl.textContent = text;
+    statusEl.className = "status" + (type ? " " + type : "");
+  }
+
+  // 保存先とファイル名のテンプレートから、実際に保存されるパスの例を表示
+  const FORMAT_EXTENSIONS = {
+    png: "png",
+    jpeg: "jpg",
+    webp: "webp",
+    pdf: "pdf",
+    markdown: "md",
+    html: "html",
+  };
+
+  function updatePreview() {
+    const path = window.__Filename.renderFilename(fields.filenameTemplate.value, {
+      title: "記事のタイトル: サンプル",
+      url: "https://www.example.com/articles/123",
+      date: new Date(),
+      ext: FORMAT_EXTENSIONS[fields.format.value],
+    });
+    const subfolder = fields.subfolder.value.trim().replace(/^[\\/]+|[\\/]+$/g, "");
+    filenamePreview.textContent = subfolder ? `${subfolder}/${path}` : path;
+  }
+
+  for (const key of ["format", "subfolder", "filenameTemplate"]) {
+    fields[key].addEventListener("input", updatePreview);
+  }
+
+  function showSettings(settings) {
+    for (const [key, el] of Object.entries(fields)) {
+      if (el.type === "checkbox") {
+        el.checked = settings[key];
+      } else {
+        el.value = settings[key];
+      }
+    }
+    updatePreview();
+  }
+
+  function readFields() {
+    const values = {};
+    for (const [key, el] of Object.entries(fields)) {
+      values[key] = el.type === "checkbox" ? el.checked : el.value;
+    }
+    return values;
+  }
+
+  saveBtn.addEventListener("click", async () => {
+    try {
+      // 範囲外の値などは補正して保存し、補正後の値を表示する
+      showSettings(await saveSettings(readFields()));
+      setStatus("保存しました", "success");
+    } catch (err) {
+      setStatus("保存に失敗しました: " + err.message, "error");
+    }
+  });
+
+  resetBtn.addEventListener("click", async () => {
+    try {
+      showSettings(await resetSettings());
+      setStatus("既定値に戻しました", "success");
+    } catch (err) {
+      setStatus("リセットに失敗しました: " + err.message, "error");
+    }
+  });
+
+  showSettings(await getSettings());
+
+  // サイトごとのルール（lib/site-rules.js）
+  const { getRules, updateRule, removeRule, exportRules, importRules } = window.__SiteRules;
+  const ruleFields = {
+    domain: document.getElementById("ruleDomain"),
+    article: document.getElementById("ruleArticle"),
+    hide: document.getElementById("ruleHide"),
+    keep: document.getElementById("ruleKeep"),
+  };
+  const ruleList = document.getElementById("ruleList");
+  const ruleStatusEl = document.getElementById("ruleStatus");
+  const ruleImportFile = document.getElementById("ruleImportFile");
+
+  function setRuleStatus(text, type = "") {
+    ruleStatusEl.textContent = text;
+    ruleStatusEl.className = "status" + (type ? " " + type : "");
+  }
+
+  function editRule(rule) {
+    ruleFields.domain.value = rule.domain;
+    ruleFields.article.value = rule.article;
+    ruleFields.hide.value = rule.hide.join("\n");
+    ruleFields.keep.value = rule.keep.join("\n");
+    ruleFields.domain.focus();
+  }
+
+  function showRules(rules) {
+    ruleList.textContent = "";
+    if (rules.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "rule-empty";
+      empty.textContent = "ルールはまだありません";
+      ruleList.appendChild(empty);
+      return;
+    }
+
+    for (const rule of rules) {
+      const item = document.createElement("li");
+      item.className = "rule-item";
+
+      const body = document.createElement("div");
+      body.className = "rule-body";
+      const addLine = (className, text) => {
+        const line = document.createElement("div");
+        line.className = className;
+        line.textContent = text;
+        body.appendChild(line);
+      };
+      addLine("rule-domain", rule.domain);
+      addLine("rule-detail", "記事: " + (rule.article || "（自動検出）"));
+      if (rule.hide.length) addLine("rule-detail", "非表示: " + rule.hide.join(", "));
+      if (rule.keep.length) addLine("rule-detail", "残す: " + rule.keep.join(", "));
+
+      const editBtn = document.createElement("button");
+      editBtn.className = "small-btn";
+      editBtn.textContent = "編集";
+      editBtn.addEventListener("click", () => editRule(rule));
+
+      const removeBtn = document.createElement("button");
+      removeBtn.className = "small-btn";
+      removeBtn.textContent = "削除";
+      removeBtn.addEventListener("click", async () => {
+        try {
+          showRules(await removeRule(rule.domain));
+          setRuleStatus(`${rule.domain} のルールを削除しました`, "success");
+        } catch (err) {
+          setRuleStatus("削除に失敗しました: " + err.message, "error");
+        }
+      });
+
+      item.append(body, editBtn, removeBtn);
+      ruleList.appendChild(item);
+    }
+  }
+
+  document.getElementById("ruleSaveBtn").addEventListener("click", async () => {
+    if (!window.__SiteRules.normalizeDomain(ruleFields.domain.value)) {
+      setRuleStatus("ドメインを入力してください", "error");
+      return;
+    }
+    try {
+      showRules(
+        await updateRule(ruleFields.domain.value, {
+          article: ruleFields.article.value,
+          hide: ruleFields.hide.value,
+          keep: ruleFields.keep.value,
+        })
+      );
+      for (const el of Object.values(ruleFields)) el.value = "";
+      setRuleStatus("ルールを保存しました", "success");
+    } catch (err) {
+      setRuleStatus("保存に失敗しました: " + err.message, "error");
+    }
+  });
+
+  document.getElementById("ruleExportBtn").addEventListener("click", async () => {
+    const url = URL.createObjectURL(
+      new Blob([await exportRules()], { type: "application/json" })
+    );
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "article-capture-rules.json";
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  });
+
+  document.getElementById("ruleImportBtn").addEventListener("click", () => {
+    ruleImportFile.click();
+  });
+
+  ruleImportFile.addEventListener("change", async () => {
+    const [file] = ruleImportFile.files;
+    ruleImportFile.value = "";
+    if (!file) return;
+    try {
+      const { imported, rules } = await importRules(await file.text());
+      showRules(rules);
+      setRuleStatus(`${imported} 件のルールを読み込みました`, "success");
+    } catch (err) {
+      setRuleStatus("インポートに失敗しました: " + err.message, "error");
+    }
+  });
+
+  showRules(await getRules());
+});
@@ -0,0 +1,450 @@
+/**
+ * Element Picker - キャプチャ対象の手動選択
+ *
+ * 自動検出がうまくいかないページ向けに、キャプチャ対象を手動で選ぶ。
+ * 選択した要素は window.__articleCapturePicked に保持し、background.js に通知する。
+ *
+ * モード:
+ *   "element"    カーソル下の要素をハイライトしてクリックで選択
+ *   "candidates" ArticleDetector の候補をスコア順にプレビューして選択
+ *
+ * キー操作（element）:
+ *   ↑ / W   親要素へ
+ *   ↓ / S   子要素へ（直前に上った要素があればそこへ戻る）
+ *   Enter   現在の要素で確定
+ *   Shift+Enter 現在の要素で確定し、このサイトの記事セレクタとして保存
+ *   Esc     キャンセル
+ *
+ * キー操作（candidates）:
+ *   → / N   次の候補
+ *   ← / P   前の候補
+ *   Enter   現在の候補で確定
+ *   Shift+Enter 現在の候補で確定し、このサイトの記事セレクタとして保存
+ *   Esc     キャンセル
+ */
+(() => {
+  "use strict";
+
+  const OVERLAY_ID = "__article-capture-picker-overlay";
+  const LABEL_ID = "__article-capture-picker-label";
+  const PANEL_ID = "__article-capture-picker-panel";
+
+  // スコア内訳の表示名
+  const BREAKDOWN_LABELS = {
+    tag: "タグ",
+    role: "role属性",
+    itemprop: "itemprop属性",
+    pattern: "クラス名/ID",
+    textLength: "テキスト量",
+    paragraphs: "<p>の数",
+    images: "<img>の数",
+    linkDensity: "リンク密度",
+    size: "サイズ",
+  };
+
+  /**
+   * 既に起動中のピッカーがあれば終了させる
+   */
+  if (window.__articleCapturePicker) {
+    window.__articleCapturePicker.stop();
+  }
+
+  function isOwnElement(el) {
+    return el.id === OVERLAY_ID || el.id === LABEL_ID || el.id === PANEL_ID;
+  }
+
+  /**
+   * 要素の簡易セレクタ表記（ラベル表示用）
+   */
+  function describeElement(el) {
+    let text = el.tagName.toLowerCase();
+    if (el.id) text += "#" + el.id;
+    const classes = (typeof el.className === "string" ? el.className : "")
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean)
+      .slice(0, 2);
+    if (classes.length) text += "." + classes.join(".");
+    return text;
+  }
+
+  /**
+   * ページの再読み込み後も同じ要素を指すと期待できる名前か
+   * （連番・ハッシュを含む ID やクラス名は読み込みごとに変わりやすい）
+   */
+  function isStableName(name) {
+    return !/\d{3,}|^css-|__[a-z0-9]{5,}$/i.test(name);
+  }
+
+  function isUniqueMatch(selector, el) {
+    const matches = document.querySelectorAll(selector);
+    return matches.length === 1 && matches[0] === el;
+  }
+
+  /**
+   * 要素を一意に指す CSS セレクタを作る（サイトのルールとして保存する）
+   * 一意になるまで祖先へさかのぼり、ID・クラス名 → :nth-of-type の順に絞り込む。
+   */
+  function buildSelector(el) {
+    const parts = [];
+
+    for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+      if (node.id && isStableName(node.id)) {
+        const idSelector = "#" + CSS.escape(node.id);
+        if (document.querySelectorAll(idSelector).length === 1) {
+          parts.unshift(idSelector);
+          break;
+        }
+      }
+
+      let part = node.tagName.toLowerCase();
+      const classes = (typeof node.className === "string" ? node.className : "")
+        .trim()
+        .split(/\s+/)
+        .filter((name) => name && isStableName(name))
+        .slice(0, 2);
+      if (classes.length) part += "." + classes.map((name) => CSS.escape(name)).join(".");
+      parts.unshift(part);
+      if (isUniqueMatch(parts.join(" > "), el)) break;
+
+      const parent = node.parentElement;
+      const sameTag = parent
+        ? Array.from(parent.children).filter((child) => child.tagName === node.tagName)
+        : [];
+      if (sameTag.length > 1) {
+        parts[0] += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+        if (isUniqueMatch(parts.join(" > "), el)) break;
+      }
+    }
+
+    return parts.join(" > ");
+  }
+
+  /**
+   * 要素をハイライトするオーバーレイを作成
+   */
+  function createHighlighter() {
+    const overlay = document.createElement("div");
+    overlay.id = OVERLAY_ID;
+    overlay.style.cssText = [
+      "position: fixed",
+      "z-index: 2147483647",
+      "pointer-events: none",
+      "border: 2px solid #4a6cf7",
+      "background: rgba(74, 108, 247, 0.15)",
+      "box-sizing: border-box",
+      "transition: all 0.05s",
+    ].join(";");
+
+    const label = document.createElement("div");
+    label.id = LABEL_ID;
+    label.style.cssText = [
+      "position: fixed",
+      "z-index: 2147483647",
+      "pointer-events: none",
+      "padding: 2px 6px",
+      "border-radius: 3px",
+      "background: #4a6cf7",
+      "color: #fff",
+      "font: 12px/1.4 -apple-system, BlinkMacSystemFont, sans-serif",
+      "white-space: nowrap",
+    ].join(";");
+
+    document.documentElement.appendChild(overlay);
+    document.documentElement.appendChild(label);
+
+    let current = null;
+
+    function show(el) {
+      current = el;
+      const rect = el.getBoundingClientRect();
+      overlay.style.top = rect.top + "px";
+      overlay.style.left = rect.left + "px";
+      overlay.style.width = rect.width + "px";
+      overlay.style.height = rect.height + "px";
+
+      label.textContent =
+        describeElement(el) +
+        `  ${Math.round(rect.width)}×${Math.round(rect.height)}`;
+      const labelTop = rect.top > 24 ? rect.top - 22 : rect.top + 2;
+      label.style.top = Math.max(0, labelTop) + "px";
+      label.style.left = Math.max(0, rect.left) + "px";
+    }
+
+    // スクロールで位置がずれないよう追従する
+    function onScroll() {
+      if (current) show(current);
+    }
+    window.addEventListener("scroll", onScroll, true);
+
+    function destroy() {
+      window.removeEventListener("scroll", onScroll, true);
+      overlay.remove();
+      label.remove();
+    }
+
+    return { show, destroy, get current() { return current; } };
+  }
+
+  /**
+   * 選択を確定して background.js に通知
+   *   saveRule: 選択した要素のセレクタをこのサイトのルールとして保存する
+   */
+  function confirmSelection(el, format, options, saveRule = false) {
+    window.__articleCapturePicked = el;
+    chrome.runtime.sendMessage({
+      type: "picker-selected",
+      format,
+      options,
+      ruleSelector: saveRule ? buildSelector(el) : null,
+    });
+  }
+
+  /**
+   * カーソル下の要素を選ぶピッカーを開始
+   */
+  function startElementPicker(format, options) {
+    const highlighter = createHighlighter();
+    // ↑ で上った経路（↓ で戻るため）
+    let descendPath = [];
+
+    function isPickable(el) {
+      return (
+        el &&
+        el.nodeType === Node.ELEMENT_NODE &&
+        el !== document.documentElement &&
+        !isOwnElement(el)
+      );
+    }
+
+    function onMouseMove(e) {
+      const el = document.elementFromPoint(e.clientX, e.clientY);
+      if (!isPickable(el) || el === highlighter.current) return;
+      descendPath = [];
+      highlighter.show(el);
+    }
+
+    function onKeyDown(e) {
+      const current = highlighter.current;
+
+      if (e.key === "Escape") {
+        stop();
+      } else if (!current) {
+        return;
+      } else if (e.key === "ArrowUp" || e.key === "w" || e.key === "W") {
+        const parent = current.parentElement;
+        if (isPickable(parent)) {
+          descendPath.push(current);
+          highlighter.show(parent);
+        }
+      } else if (e.key === "ArrowDown" || e.key === "s" || e.key === "S") {
+        const child = descendPath.pop() || current.firstElementChild;
+        if (isPickable(child)) {
+          highlighter.show(child);
+        }
+      } else if (e.key === "Enter") {
+        select(current, e.shiftKey);
+      } else {
+        return;
+      }
+
+      e.preventDefault();
+      e.stopPropagation();
+    }
+
+    function onClick(e) {
+      e.preventDefault();
+      e.stopPropagation();
+      if (highlighter.current) select(highlighter.current);
+    }
+
+    // リンク遷移やページ側のハンドラを抑止する
+    function swallow(e) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+
+    function select(el, saveRule = false) {
+      stop();
+      confirmSelection(el, format, options, saveRule);
+    }
+
+    function stop() {
+      document.removeEventListener("mousemove", onMouseMove, true);
+      document.removeEventListener("keydown", onKeyDown, true);
+      document.removeEventListener("click", onClick, true);
+      document.removeEventListener("mousedown", swallow, true);
+      document.removeEventListener("mouseup", swallow, true);
+      highlighter.destroy();
+      window.__articleCapturePicker = null;
+    }
+
+    document.addEventListener("mousemove", onMouseMove, true);
+    document.addEventListener("keydown", onKeyDown, true);
+    document.addEventListener("click", onClick, true);
+    document.addEventListener("mousedown", swallow, true);
+    document.addEventListener("mouseup", swallow, true);
+
+    window.__articleCapturePicker = { stop };
+  }
+
+  /**
+   * 候補のスコア内訳パネルを作成
+   */
+  function createPanel() {
+    const panel = document.createElement("div");
+    panel.id = PANEL_ID;
+    panel.style.cssText = [
+      "position: fixed",
+      "top: 12px",
+      "right: 12px",
+      "z-index: 2147483647",
+      "width: 260px",
+      "padding: 12px",
+      "border-radius: 8px",
+      "background: #1a1a2e",
+      "color: #e0e0e0",
+      "font: 12px/1.5 -apple-system, BlinkMacSystemFont, sans-serif",
+      "box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4)",
+    ].join(";");
+    document.documentElement.appendChild(panel);
+    return panel;
+  }
+
+  /**
+   * パネルに候補の情報を描画
+   */
+  function renderPanel(panel, candidate, index, total) {
+    panel.textContent = "";
+
+    const add = (text, style = "") => {
+      const line = document.createElement("div");
+      line.textContent = text;
+      line.style.cssText = style;
+      panel.appendChild(line);
+    };
+
+    add(`候補 ${index + 1} / ${total}`, "font-weight: 600; color: #fff;");
+    add(describeElement(candidate.element), "color: #8fa6ff; word-break: break-all;");
+
+    if (candidate.source === "semantic") {
+      add(`セレクタ一致: ${candidate.selector}`, "color: #2ecc71;");
+    } else if (candidate.source === "fallback") {
+      add("フォールバック（body）", "color: #e67e22;");
+    }
+
+    add(`スコア: ${candidate.score.toFixed(1)}`, "margin-top: 6px; font-weight: 600;");
+    for (const [key, value] of Object.entries(candidate.breakdown)) {
+      if (value === 0) continue;
+      const sign = value > 0 ? "+" : "";
+      add(`  ${BREAKDOWN_LABELS[key] || key}: ${sign}${value.toFixed(1)}`);
+    }
+
+    const { textLength, paragraphs, images, linkDensity } = candidate.stats;
+    add(
+      `文字数 ${textLength} / <p> ${paragraphs} / <img> ${images} / リンク密度 ${linkDensity.toFixed(2)}`,
+      "margin-top: 6px; color: #888;"
+    );
+    add("← → で切替 / Enter で確定 / Esc でキャンセル", "margin-top: 6px; color: #888;");
+    add("Shift+Enter で確定してこのサイトのルールに保存", "color: #888;");
+  }
+
+  /**
+   * 記事候補を順に切り替えて選ぶプレビューを開始
+   */
+  function startCandidatePreview(format, options, limit) {
+    const detector = window.__ArticleDetector;
+    if (!detector) {
+      return { error: "ArticleDetector が読み込まれていません" };
+    }
+
+    const candidates = detector.rankCandidates(limit);
+    if (candidates.length === 0) {
+      return { error: "記事候補が見つかりませんでした" };
+    }
+
+    const highlighter = createHighlighter();
+    const panel = createPanel();
+    let index = 0;
+
+    // プレビューを始める前のスクロール位置（終了時に戻す）
+    // scrollIntoView はウィンドウだけでなく祖先のスクロールコンテナも動かすため、祖先ごとに記録する
+    const savedScroll = new Map();
+
+    function saveScroll(el) {
+      for (let node = el.parentElement; node; node = node.parentElement) {
+        if (!savedScroll.has(node)) {
+          savedScroll.set(node, { top: node.scrollTop, left: node.scrollLeft });
+        }
+      }
+    }
+
+    function restoreScroll() {
+      for (const [node, { top, left }] of savedScroll) {
+        node.scrollTo({ top, left, behavior: "instant" });
+      }
+      savedScroll.clear();
+    }
+
+    function showCandidate(i) {
+      index = (i + candidates.length) % candidates.length;
+      const candidate = candidates[index];
+      saveScroll(candidate.element);
+      candidate.element.scrollIntoView({ block: "start", behavior: "instant" });
+      highlighter.show(candidate.element);
+      renderPanel(panel, candidate, index, candidates.length);
+    }
+
+    function onKeyDown(e) {
+      if (e.key === "ArrowRight" || e.key === "n" || e.key === "N") {
+        showCandidate(index + 1);
+      } else if (e.key === "ArrowLeft" || e.key === "p" || e.key === "P") {
+        showCandidate(index - 1);
+      } else if (e.key === "Enter") {
+        const el = candidates[index].element;
+        stop();
+        confirmSelection(el, format, options, e.shiftKey);
+      } else if (e.key === "Escape") {
+        stop();
+      } else {
+        return;
+      }
+
+      e.preventDefault();
+      e.stopPropagation();
+    }
+
+    function stop() {
+      document.removeEventListener("keydown", onKeyDown, true);
+      highlighter.destroy();
+      panel.remove();
+      restoreScroll();
+      window.__articleCapturePicker = null;
+    }
+
+    document.addEventListener("keydown", onKeyDown, true);
+    window.__articleCapturePicker = { stop };
+
+    showCandidate(0);
+    return { started: true, count: candidates.length };
+  }
+
+  // リスナー再登録
+  if (window.__articlePickerListener) {
+    chrome.runtime.onMessage.removeListener(window.__articlePickerListener);
+  }
+
+  window.__articlePickerListener = (message, sender, sendResponse) => {
+    if (message.type === "start-picker") {
+      if (message.mode === "candidates") {
+        sendResponse(startCandidatePreview(message.format, message.options, message.limit));
+      } else {
+        startElementPicker(message.format, message.options);
+        sendResponse({ started: true });
+      }
+      return true;
+    }
+  };
+
+  chrome.runtime.onMessage.addListener(window.__articlePickerListener);
+})();
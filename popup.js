@@ -1,17 +1,112 @@
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
   let selectedFormat = "png";
 
   // Format selection
   const formatBtns = document.querySelectorAll(".format-btn");
+
+  function selectFormat(format) {
+    formatBtns.forEach((b) => b.classList.toggle("active", b.dataset.format === format));
+    selectedFormat = format;
+    updateOptionsVisibility();
+  }
+
   formatBtns.forEach((btn) => {
-    btn.addEventListener("click", () => {
-      formatBtns.forEach((b) => b.classList.remove("active"));
-      btn.classList.add("active");
-      selectedFormat = btn.dataset.format;
+    btn.addEventListener("click", () => selectFormat(btn.dataset.format));
+  });
+
+  document.getElementById("settingsBtn").addEventListener("click", () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  document.getElementById("historyBtn").addEventListener("click", () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL("history.html") });
+  });
+
+  // 一括キャプチャは撮影中にタブを切り替えるため、別のウィンドウで開く
+  // 複数のタブを選択していれば、そのタブだけを対象にする
+  document.getElementById("batchBtn").addEventListener("click", async () => {
+    const tabs = await chrome.tabs.query({ currentWindow: true, highlighted: true });
+    const params = new URLSearchParams({ window: String(tabs[0].windowId) });
+    if (tabs.length > 1) {
+      params.set("tabs", tabs.map((tab) => tab.id).join(","));
+    }
+    await chrome.windows.create({
+      url: chrome.runtime.getURL(`batch.html?${params}`),
+      type: "popup",
+      width: 760,
+      height: 760,
     });
+    window.close();
   });
 
+  // PDF settings
+  const pdfOptions = document.getElementById("pdfOptions");
+  const pdfPageSize = document.getElementById("pdfPageSize");
+  const pdfOrientation = document.getElementById("pdfOrientation");
+  const pdfCustomSize = document.getElementById("pdfCustomSize");
+  const pdfCustomWidth = document.getElementById("pdfCustomWidth");
+  const pdfCustomHeight = document.getElementById("pdfCustomHeight");
+  const pdfMargin = document.getElementById("pdfMargin");
+  const pdfLayout = document.getElementById("pdfLayout");
+  const pdfImageFormat = document.getElementById("pdfImageFormat");
+  const pdfQualityField = document.getElementById("pdfQualityField");
+  const pdfJpegQuality = document.getElementById("pdfJpegQuality");
+  const pdfSmartBreaks = document.getElementById("pdfSmartBreaks");
+  const pdfTextLayer = document.getElementById("pdfTextLayer");
+  const pdfLinks = document.getElementById("pdfLinks");
+  const pdfHeaderFooter = document.getElementById("pdfHeaderFooter");
+
+  // 画像設定（JPEG / WebP）と保存先
+  const imageOptions = document.getElementById("imageOptions");
+  const imageQuality = document.getElementById("imageQuality");
+  const destinationOption = document.getElementById("destinationOption");
+  const destinationSection = document.getElementById("destinationSection");
+  const textExportField = document.getElementById("textExportField");
+  const textExportOption = document.getElementById("textExportOption");
+
+  // クリップボードには常に PNG でコピーするため、形式ごとの設定は隠す
+  // テキスト形式（Markdown / HTML）はスクリーンショットを撮らないため、画像の設定は隠す
+  function updateOptionsVisibility() {
+    const textOnly = selectedFormat === "markdown" || selectedFormat === "html";
+    const toClipboard = !textOnly && destinationOption.value === "clipboard";
+    destinationSection.classList.toggle("hidden", textOnly);
+    textExportField.classList.toggle("hidden", textOnly);
+    imageOptions.classList.toggle(
+      "hidden",
+      toClipboard || (selectedFormat !== "jpeg" && selectedFormat !== "webp")
+    );
+    pdfOptions.classList.toggle("hidden", toClipboard || selectedFormat !== "pdf");
+    pdfCustomSize.classList.toggle("hidden", pdfPageSize.value !== "custom");
+    pdfQualityField.classList.toggle("hidden", pdfImageFormat.value !== "jpeg");
+  }
+
+  destinationOption.addEventListener("change", updateOptionsVisibility);
+  pdfPageSize.addEventListener("change", updateOptionsVisibility);
+  pdfImageFormat.addEventListener("change", updateOptionsVisibility);
+
+  function getPdfOptions() {
+    return {
+      pageSize: pdfPageSize.value,
+      customWidth: Number(pdfCustomWidth.value),
+      customHeight: Number(pdfCustomHeight.value),
+      orientation: pdfOrientation.value,
+      margin: Number(pdfMargin.value),
+      layout: pdfLayout.value,
+      imageFormat: pdfImageFormat.value,
+      jpegQuality: Number(pdfJpegQuality.value) / 100,
+      smartBreaks: pdfSmartBreaks.checked,
+      textLayer: pdfTextLayer.checked,
+      links: pdfLinks.checked,
+      headerFooter: pdfHeaderFooter.checked,
+    };
+  }
+
+  const hideFixedOption = document.getElementById("hideFixedOption");
+  const oversizeOption = document.getElementById("oversizeOption");
+  const splitAtBlocksOption = document.getElementById("splitAtBlocksOption");
   const captureBtn = document.getElementById("captureBtn");
+  const cancelBtn = document.getElementById("cancelBtn");
+  const pickerBtn = document.getElementById("pickerBtn");
   const statusEl = document.getElementById("status");
   const progressBar = document.getElementById("progressBar");
   const progressBarFill = document.getElementById("progressBarFill");
@@ -30,45 +125,121 @@ document.addEventListener("DOMContentLoaded", () => {
     progressBarFill.style.width = percent + "%";
   }
 
+  // キャプチャ中は開始ボタンの代わりに中止ボタンを表示
+  function setRunning(running) {
+    captureBtn.disabled = running;
+    cancelBtn.disabled = false;
+    cancelBtn.classList.toggle("active", running);
+  }
+
+  // 生成した画像をクリップボードへ書き込む（ポップアップにフォーカスがあるうちに行う）
+  async function copyToClipboard(url) {
+    const blob = await (await fetch(url)).blob();
+    await navigator.clipboard.write([new ClipboardItem({ [blob.type]: blob })]);
+  }
+
+  // 表示中のタブ（進捗はこのタブのキャプチャのものだけ表示する）
+  let activeTabId = null;
+  // このポップアップから開始したキャプチャの応答を待っているか
+  let awaitingResponse = false;
+
   // Listen for progress updates from background
   chrome.runtime.onMessage.addListener((message) => {
+    if (message.tabId !== activeTabId) return;
     if (message.type === "capture-progress") {
       setStatus(message.text, "progress");
       setProgress(message.percent);
     }
+    // ポップアップを開き直した場合は、開始時の応答の代わりに完了の通知で結果を表示する
+    if (message.type === "capture-finished" && !awaitingResponse) {
+      setRunning(false);
+      if (message.success && message.clipboardUrl) {
+        copyToClipboard(message.clipboardUrl)
+          .then(() => setStatus("クリップボードにコピーしました!", "success"))
+          .catch((err) => setStatus("コピーに失敗しました: " + err.message, "error"));
+        setProgress(-1);
+      } else if (message.success) {
+        setStatus("保存しました!", "success");
+        setProgress(100);
+        setTimeout(() => setProgress(-1), 2000);
+      } else {
+        setStatus(message.error || "キャプチャに失敗しました", message.cancelled ? "" : "error");
+        setProgress(-1);
+      }
+    }
+  });
+
+  cancelBtn.addEventListener("click", async () => {
+    cancelBtn.disabled = true;
+    const response = await chrome.runtime.sendMessage({
+      type: "cancel-capture",
+      tabId: activeTabId,
+    });
+    if (!response?.success) {
+      setStatus(response?.error || "中止できませんでした", "error");
+      cancelBtn.disabled = false;
+    }
   });
 
+  // キャプチャオプション（background.js の captureArticle に渡す）
+  function getCaptureOptions() {
+    return {
+      destination: destinationOption.value,
+      text: textExportOption.value || null,
+      quality: Number(imageQuality.value) / 100,
+      fixedElements: hideFixedOption.checked ? "hide" : "first",
+      oversize: oversizeOption.value,
+      splitAtBlocks: splitAtBlocksOption.checked,
+      pdf: getPdfOptions(),
+    };
+  }
+
+  async function getActiveTab() {
+    const [tab] = await chrome.tabs.query({
+      active: true,
+      currentWindow: true,
+    });
+    return tab;
+  }
+
   captureBtn.addEventListener("click", async () => {
-    captureBtn.disabled = true;
+    setRunning(true);
+    awaitingResponse = true;
     setStatus("記事を検出中...", "progress");
     setProgress(10);
 
     try {
-      const [tab] = await chrome.tabs.query({
-        active: true,
-        currentWindow: true,
-      });
+      const tab = await getActiveTab();
 
       if (!tab) {
         setStatus("アクティブなタブが見つかりません", "error");
-        captureBtn.disabled = false;
         setProgress(-1);
         return;
       }
+      activeTabId = tab.id;
 
       // Send capture command to background (スクリプト注入もbackgroundで実行)
       const response = await chrome.runtime.sendMessage({
         type: "start-capture",
         tabId: tab.id,
         format: selectedFormat,
+        options: getCaptureOptions(),
       });
 
       if (response && response.success) {
-        setStatus("保存しました!", "success");
+        if (response.clipboardUrl) {
+          await copyToClipboard(response.clipboardUrl);
+          setStatus("クリップボードにコピーしました!", "success");
+        } else {
+          setStatus("保存しました!", "success");
+        }
         setProgress(100);
         setTimeout(() => {
           setProgress(-1);
         }, 2000);
+      } else if (response?.cancelled) {
+        setStatus("キャプチャを中止しました");
+        setProgress(-1);
       } else {
         setStatus(response?.error || "キャプチャに失敗しました", "error");
         setProgress(-1);
@@ -77,7 +248,58 @@ document.addEventListener("DOMContentLoaded", () => {
       setStatus("エラー: " + err.message, "error");
       setProgress(-1);
     } finally {
-      captureBtn.disabled = false;
+      awaitingResponse = false;
+      setRunning(false);
     }
   });
+
+  // Element picker / 候補プレビュー: ページ上で選ぶためポップアップは閉じる
+  const pickerBtns = [pickerBtn, document.getElementById("candidatesBtn")];
+  pickerBtns.forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      pickerBtns.forEach((b) => (b.disabled = true));
+
+      try {
+        const tab = await getActiveTab();
+        if (!tab) {
+          setStatus("アクティブなタブが見つかりません", "error");
+          return;
+        }
+
+        const response = await chrome.runtime.sendMessage({
+          type: "start-picker",
+          tabId: tab.id,
+          format: selectedFormat,
+          options: getCaptureOptions(),
+          mode: btn.dataset.mode,
+        });
+
+        if (response && response.success) {
+          window.close();
+        } else {
+          setStatus(response?.error || "ピッカーを起動できませんでした", "error");
+        }
+      } catch (err) {
+        setStatus("エラー: " + err.message, "error");
+      } finally {
+        pickerBtns.forEach((b) => (b.disabled = false));
+      }
+    });
+  });
+
+  // 既定の保存形式（オプションページの設定）
+  const settings = await window.__Settings.getSettings();
+  selectFormat(settings.format);
+
+  // ポップアップを閉じている間に進んだキャプチャの進捗を表示
+  const tab = await getActiveTab();
+  if (tab) {
+    activeTabId = tab.id;
+    const job = await chrome.runtime.sendMessage({ type: "get-capture-status", tabId: tab.id });
+    if (job?.running) {
+      setRunning(true);
+      setStatus(job.text, "progress");
+      setProgress(job.percent);
+    }
+  }
 });